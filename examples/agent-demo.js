@@ -136,7 +136,8 @@ console.log('─── Memory Bridge: Save ───')
 const bridge = new IndelibleMemoryBridge({
   indelibleUrl: INDELIBLE_URL,
   operatorAddress: operatorKey.toAddress(),
-  agentAddress: agentKey.toAddress()
+  agentAddress: agentKey.toAddress(),
+  identityWif: agentKey.toWif() // BRC-31: every memory request is mutually authenticated
 })
 
 try {
@@ -0,0 +1,146 @@
+/**
+ * Payment Gate Adapters
+ *
+ * The BRC-105 402 flow lives in createPaymentGate (middleware.js): request
+ * in, decision out. These adapters translate each framework's request and
+ * response to and from it — the challenge, nonce, fee and SPV logic is the
+ * same everywhere. Every adapter takes the createPaymentGate config.
+ *
+ * - Express:   createIndeliblePaymentMiddleware (middleware.js) → req.payment
+ * - Fastify:   createFastifyPaymentHook        → request.payment
+ * - Koa:       createKoaPaymentMiddleware      → ctx.state.payment
+ * - Hono:      createHonoPaymentMiddleware     → c.get('payment')
+ * - node:http: createNodePaymentHandler        → returned payment
+ *
+ * Body parsing stays with the framework: the request hash a challenge is
+ * bound to covers the parsed body, so parse it the same way on the
+ * challenge and the paid request.
+ */
+
+import { createPaymentGate } from './middleware.js'
+
+/**
+ * Create a Fastify preHandler hook for BRC-105 payment gating
+ *
+ * @param {object} config - See createPaymentGate
+ * @returns {function} async (request, reply) — fastify.addHook('preHandler', hook) or route preHandler
+ */
+export function createFastifyPaymentHook(config) {
+  const gate = createPaymentGate(config)
+
+  return async (request, reply) => {
+    const decision = await gate({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      body: request.body,
+      auth: request.auth
+    })
+    if (decision.allowed) {
+      request.payment = decision.payment
+      return
+    }
+    return reply.code(decision.status).headers(decision.headers).send(decision.body)
+  }
+}
+
+/**
+ * Create Koa middleware for BRC-105 payment gating
+ * Reads the body parsed by a body parser (ctx.request.body) and the caller
+ * identity from ctx.state.auth, if set.
+ *
+ * @param {object} config - See createPaymentGate
+ * @returns {function} async (ctx, next)
+ */
+export function createKoaPaymentMiddleware(config) {
+  const gate = createPaymentGate(config)
+
+  return async (ctx, next) => {
+    const decision = await gate({
+      method: ctx.method,
+      url: ctx.url,
+      headers: ctx.headers,
+      body: ctx.request.body,
+      auth: ctx.state.auth
+    })
+    if (decision.allowed) {
+      ctx.state.payment = decision.payment
+      return next()
+    }
+    ctx.set(decision.headers)
+    ctx.status = decision.status
+    ctx.body = decision.body
+  }
+}
+
+/**
+ * Create Hono middleware for BRC-105 payment gating
+ * JSON bodies are parsed with c.req.json() (cached, so handlers can read
+ * them again); other bodies are read as text.
+ *
+ * @param {object} config - See createPaymentGate
+ * @returns {function} async (c, next)
+ */
+export function createHonoPaymentMiddleware(config) {
+  const gate = createPaymentGate(config)
+
+  return async (c, next) => {
+    const url = new URL(c.req.url)
+    const decision = await gate({
+      method: c.req.method,
+      url: url.pathname + url.search,
+      headers: c.req.header(),
+      body: await readHonoBody(c),
+      auth: c.get('auth')
+    })
+    if (decision.allowed) {
+      c.set('payment', decision.payment)
+      return next()
+    }
+    return c.json(decision.body, decision.status, decision.headers)
+  }
+}
+
+/**
+ * Create a payment check for plain node:http servers
+ * Call it at the top of a request handler with the parsed body. It answers
+ * the request itself when payment is missing or rejected.
+ *
+ * @param {object} config - See createPaymentGate
+ * @returns {function} async (req, res, body) => payment | null — null means the response has been sent
+ */
+export function createNodePaymentHandler(config) {
+  const gate = createPaymentGate(config)
+
+  return async (req, res, body = null) => {
+    const decision = await gate({
+      method: req.method,
+      url: req.url,
+      headers: req.headers,
+      body,
+      auth: req.auth
+    })
+    if (decision.allowed) return decision.payment
+
+    res.writeHead(decision.status, { ...decision.headers, 'content-type': 'application/json' })
+    res.end(JSON.stringify(decision.body))
+    return null
+  }
+}
+
+/**
+ * Internal: a Hono request body — parsed JSON, text, or null when empty
+ */
+async function readHonoBody(c) {
+  if (c.req.method === 'GET' || c.req.method === 'HEAD') return null
+  const contentType = c.req.header('content-type') || ''
+  if (contentType.includes('application/json')) {
+    try {
+      return await c.req.json()
+    } catch {
+      return null
+    }
+  }
+  const text = await c.req.text()
+  return text === '' ? null : text
+}
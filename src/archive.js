@@ -0,0 +1,158 @@
+/**
+ * Memory Archives
+ *
+ * A portable, self-describing export of an agent's memory for disaster
+ * recovery and for moving an agent to a new host or operator.
+ *
+ * An archive is JSONL text:
+ *
+ *   {"type":"manifest","manifest":{...},"signature":{...}}
+ *   {"type":"session","session":{...}}
+ *   ...
+ *
+ * The manifest lists every session with its original txIds, its content
+ * hash and the hash of its archive line, plus the agent's BRC-52 identity
+ * certificate. The manifest is signed with BRC-77 (signAction), so a single
+ * signature covers every session in the file.
+ */
+
+import crypto from 'crypto'
+import { signAction, verifyAction } from './signing.js'
+import { verifyAgentCertificate } from './identity.js'
+import { hashSessionContent } from './integrity.js'
+
+const ARCHIVE_FORMAT = 'indelible-archive'
+const ARCHIVE_VERSION = 1
+const ARCHIVE_ACTION = 'export_archive'
+
+/**
+ * Create a signed archive from structured sessions
+ *
+ * @param {object} config
+ * @param {object[]} config.sessions - Sessions from loadSessions (oldest first)
+ * @param {string} config.agentAddress - Agent the sessions belong to
+ * @param {string} [config.operatorAddress] - Operator they were stored with
+ * @param {string} config.signingWif - Agent private key (WIF) — signs the manifest
+ * @param {string} [config.identityCertificate] - BRC-52 certificate (hex, from createAgentCertificate)
+ * @returns {string} Archive (JSONL)
+ */
+export function createArchive(config) {
+  const { sessions, agentAddress, operatorAddress = null, signingWif, identityCertificate = null } = config
+
+  if (!Array.isArray(sessions)) throw new Error('sessions array required')
+  if (!agentAddress) throw new Error('agentAddress required')
+  if (!signingWif) throw new Error('signingWif required')
+
+  const lines = sessions.map(session => JSON.stringify({ type: 'session', session }))
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    createdAt: new Date().toISOString(),
+    agentAddress,
+    operatorAddress,
+    identityCertificate,
+    sessions: sessions.map((session, i) => ({
+      sessionId: session.sessionId,
+      txIds: session.txIds || [],
+      createdAt: session.createdAt || null,
+      prevSessionId: session.prevSessionId || null,
+      messageCount: session.messages.length,
+      contentHash: hashSessionContent(session.messages),
+      lineHash: sha256(lines[i])
+    }))
+  }
+
+  const signature = signAction({ privateKeyWif: signingWif, action: ARCHIVE_ACTION, payload: manifest })
+
+  return [JSON.stringify({ type: 'manifest', manifest, signature }), ...lines].join('\n') + '\n'
+}
+
+/**
+ * Parse and verify an archive
+ * Checks the manifest signature, every session line against the manifest,
+ * and the identity certificate (its subject must be the signer).
+ *
+ * @param {string} archive - Archive text from createArchive
+ * @param {object} [options]
+ * @param {string} [options.expectedPublicKey] - Require the archive to be signed by this key
+ * @returns {Promise<object>} { valid, errors, manifest, signature, signerPublicKey, certificate, sessions }
+ */
+export async function readArchive(archive, options = {}) {
+  const { expectedPublicKey = null } = options
+  const lines = String(archive).split('\n').filter(line => line.trim())
+  const errors = []
+
+  if (!lines.length) throw new Error('Empty archive')
+
+  let header
+  try {
+    header = JSON.parse(lines[0])
+  } catch {
+    throw new Error('Archive manifest is not valid JSON')
+  }
+  if (header.type !== 'manifest' || !header.manifest || header.manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not an Indelible memory archive')
+  }
+  if (header.manifest.version !== ARCHIVE_VERSION) {
+    throw new Error(`Unsupported archive version: ${header.manifest.version}`)
+  }
+
+  const { manifest, signature } = header
+
+  // One signature covers the manifest, and the manifest pins every line
+  const sig = verifyAction({
+    signature: signature.signature,
+    action: ARCHIVE_ACTION,
+    timestamp: signature.timestamp,
+    payload: manifest,
+    expectedPublicKey: expectedPublicKey || signature.publicKey
+  })
+  if (!sig.identityBound) {
+    errors.push(expectedPublicKey ? `Archive is not signed by ${expectedPublicKey}` : 'Manifest signer does not match its publicKey')
+  } else if (!sig.valid) {
+    errors.push('Manifest signature is invalid')
+  }
+
+  const sessionLines = lines.slice(1)
+  if (sessionLines.length !== manifest.sessions.length) {
+    errors.push(`Manifest lists ${manifest.sessions.length} sessions, archive contains ${sessionLines.length}`)
+  }
+
+  const sessions = sessionLines.map((line, i) => {
+    const entry = manifest.sessions[i]
+    const { session } = JSON.parse(line)
+    if (!entry || sha256(line) !== entry.lineHash) {
+      errors.push(`Session ${session.sessionId} does not match the manifest`)
+    } else if (hashSessionContent(session.messages) !== entry.contentHash) {
+      errors.push(`Session ${session.sessionId} content hash mismatch`)
+    }
+    return session
+  })
+
+  let certificate = null
+  if (manifest.identityCertificate) {
+    certificate = await verifyAgentCertificate(manifest.identityCertificate)
+    if (!certificate.valid) errors.push('Identity certificate is invalid')
+    else if (certificate.subject !== sig.signerPubKey) errors.push('Identity certificate subject is not the archive signer')
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    manifest,
+    signature,
+    signerPublicKey: sig.signerPubKey,
+    certificate,
+    sessions
+  }
+}
+
+/**
+ * SHA-256 (hex) of an archive line
+ * @param {string} text
+ * @returns {string}
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex')
+}
@@ -10,21 +10,33 @@
 
 import { AuthFetch, ProtoWallet, PrivateKey } from '@bsv/sdk'
 
+/**
+ * AuthFetch that hands 402 responses back to the caller instead of paying
+ * them with its own wallet — a ProtoWallet can sign but can't createAction
+ */
+class ChallengePassthroughAuthFetch extends AuthFetch {
+  async handlePaymentAndRetry(url, config, originalResponse) {
+    return originalResponse
+  }
+}
+
 /**
  * Create an authenticated HTTP client for agent-to-server communication
  *
  * @param {object} config
  * @param {string} config.privateKeyWif - Agent or operator's private key (WIF)
- * @returns {object} { fetch: function, wallet: ProtoWallet, publicKey: string }
+ * @param {boolean} [config.autoPay=true] - Let AuthFetch answer 402s itself. Set false to get the 402
+ *   response back, e.g. for createPaymentClient to pay from a BRC-100 wallet
+ * @returns {object} { fetch: function, wallet: ProtoWallet, publicKey: string, autoPay: boolean }
  */
 export function createAuthClient(config) {
-  const { privateKeyWif } = config
+  const { privateKeyWif, autoPay = true } = config
 
   if (!privateKeyWif) throw new Error('privateKeyWif required')
 
   const key = PrivateKey.fromWif(privateKeyWif)
   const wallet = new ProtoWallet(key)
-  const authFetch = new AuthFetch(wallet)
+  const authFetch = autoPay ? new AuthFetch(wallet) : new ChallengePassthroughAuthFetch(wallet)
 
   return {
     /**
@@ -41,7 +53,10 @@ export function createAuthClient(config) {
     wallet,
 
     /** This client's public key (hex, compressed) */
-    publicKey: key.toPublicKey().toString()
+    publicKey: key.toPublicKey().toString(),
+
+    /** Whether fetch() answers 402 challenges itself */
+    autoPay
   }
 }
 
@@ -0,0 +1,340 @@
+/**
+ * Memory Storage Backends
+ *
+ * Pluggable storage for IndelibleMemoryBridge. Every backend implements
+ * the same three operations with the same session-chaining semantics:
+ *
+ *   save(body)    → { success, txId, sessionId, messageCount, saveType }
+ *   load(request) → { context, sessions }
+ *   list(agentAddress, request) → [{ sessionId, txId, txIds, summary, createdAt, prevSessionId, messageCount, saveType, baseMessageCount }]
+ *
+ * where body is { agentAddress, agentId, messages, summary, operatorAddress, ... }
+ * — with clientDelta: true, messages is only the tail after prevSessionId
+ * and request is { agentAddress, numSessions, since, until, operatorAddress, ... }.
+ * Backends that understand clientDelta saves say so with supportsClientDelta;
+ * the Indelible server doesn't, so the bridge sends it whole conversations.
+ *
+ * Implementations:
+ *   HttpBackend   — the Indelible server API (default)
+ *   MemoryBackend — in-process, for unit tests and offline agents
+ *   FileBackend   — one JSONL file per agent, for local development
+ *
+ * A direct OP_RETURN backend (matching ClawSats' OnChainMemory) only has to
+ * implement the same three methods.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import fetch from 'node-fetch'
+import { DEFAULT_INDELIBLE_URL } from './constants.js'
+import { createAuthClient } from './auth.js'
+import { toTranscript } from './formatters.js'
+import { buildSessionTransactions } from './integrity.js'
+
+/**
+ * Indelible HTTP API backend
+ *
+ * Every request is mutually authenticated with BRC-31 (Authrite) through
+ * an AuthFetch client. The legacy X-Operator-Address header — which anyone
+ * can spoof — is only sent when explicitly enabled with legacyAuth.
+ *
+ * With a paymentClient (createPaymentClient), 402 challenges from paid
+ * endpoints are answered automatically within its spending policy. The
+ * auth client must then leave 402s alone (autoPay: false) — AuthFetch
+ * would otherwise try to pay them from its ProtoWallet, which can't.
+ */
+export class HttpBackend {
+  /**
+   * @param {object} config
+   * @param {string} [config.indelibleUrl] - Indelible server URL (default: https://indelible.one)
+   * @param {string} config.operatorAddress - BSV address of the operator
+   * @param {object} [config.authClient] - Existing client from createAuthClient() — created with
+   *   autoPay: false if a paymentClient is given
+   * @param {string} [config.identityWif] - Identity private key (WIF) — creates an auth client
+   *   (with autoPay off when a paymentClient is given)
+   * @param {boolean} [config.legacyAuth=false] - Send the unauthenticated X-Operator-Address header instead
+   * @param {object} [config.paymentClient] - createPaymentClient() result — pays 402 challenges
+   */
+  constructor(config) {
+    this.indelibleUrl = config.indelibleUrl || DEFAULT_INDELIBLE_URL
+    this.operatorAddress = config.operatorAddress
+    this.legacyAuth = config.legacyAuth === true
+    this.paymentClient = config.paymentClient || null
+    this.authClient = config.authClient ||
+      (config.identityWif ? createAuthClient({ privateKeyWif: config.identityWif, autoPay: !this.paymentClient }) : null)
+
+    if (!this.operatorAddress) throw new Error('operatorAddress required')
+    if (this.paymentClient && this.authClient && this.authClient.autoPay !== false) {
+      throw new Error('authClient pays 402s itself — create it with autoPay: false to pay through paymentClient')
+    }
+    if (!this.authClient && !this.legacyAuth) {
+      throw new Error('authClient or identityWif required (set legacyAuth: true to use the unauthenticated X-Operator-Address header)')
+    }
+  }
+
+  /** Public identity key requests are authenticated as (null in legacy mode) */
+  get identityKey() {
+    return this.authClient ? this.authClient.publicKey : null
+  }
+
+  async save(body) {
+    return this._request('POST', '/api/agents/save', body)
+  }
+
+  async load(request) {
+    return this._request('POST', '/api/agents/load', request)
+  }
+
+  async list(agentAddress) {
+    const data = await this._request('GET', `/api/agents/sessions/${agentAddress}`)
+    return data.sessions || []
+  }
+
+  /**
+   * Internal: call the Indelible server (BRC-31 authenticated unless legacyAuth)
+   */
+  async _request(method, path, body) {
+    const headers = body ? { 'Content-Type': 'application/json' } : {}
+    const send = this.authClient ? this.authClient.fetch : fetch
+
+    if (!this.authClient) headers['X-Operator-Address'] = this.operatorAddress
+
+    const url = `${this.indelibleUrl}${path}`
+    const init = {
+      method,
+      headers,
+      ...(body ? { body: JSON.stringify(body) } : {})
+    }
+
+    const res = this.paymentClient
+      ? await this.paymentClient.fetch(url, init, send)
+      : await send(url, init)
+
+    if (!res.ok) {
+      const err = await res.text()
+      throw new Error(`Indelible ${path} failed (${res.status}): ${err}`)
+    }
+
+    return res.json()
+  }
+}
+
+/**
+ * Shared session-chaining logic for the local backends
+ *
+ * Each save becomes a session linked to the previous one (prevSessionId,
+ * prevTxId). Messages already committed by the previous session are skipped
+ * (a "delta" save), mirroring the server. Transaction ids are content hashes,
+ * so they are stable and unique per session.
+ *
+ * With a chain source (MemoryChainSource), each save is also committed as
+ * OP_RETURN transactions in the Indelible commitment format and the real
+ * txids are used instead, so bridge.verify() works fully offline.
+ */
+class LocalBackend {
+  /**
+   * @param {object} [config]
+   * @param {object} [config.chain] - MemoryChainSource to commit sessions to
+   * @param {number} [config.chunkSize] - Max content bytes per commitment transaction
+   */
+  constructor(config = {}) {
+    this.chain = config.chain || null
+    this.chunkSize = config.chunkSize
+  }
+
+  /** clientDelta saves (only the tail after prevSessionId) are understood */
+  get supportsClientDelta() {
+    return true
+  }
+
+  /** Sessions are committed in the format verify() checks — only with a chain */
+  get supportsVerify() {
+    return !!this.chain
+  }
+
+  async save(body) {
+    const { agentAddress, messages, summary } = body
+    if (!agentAddress) throw new Error('agentAddress required')
+    if (!Array.isArray(messages) || messages.length === 0) throw new Error('messages array required')
+
+    const sessions = await this._read(agentAddress)
+    const prev = sessions[sessions.length - 1] || null
+
+    let newMessages, messageHashes, baseMessageCount
+
+    if (body.clientDelta) {
+      // The client already stripped the committed prefix
+      const base = sessions.find(s => s.sessionId === body.prevSessionId) || prev
+      newMessages = messages
+      messageHashes = [...(base ? base.messageHashes : []), ...messages.map(hashMessage)]
+      baseMessageCount = base ? base.messageHashes.length : 0
+    } else {
+      // Delta: drop the prefix that the previous session already committed
+      let skip = 0
+      if (prev) {
+        const committed = prev.messageHashes
+        while (skip < messages.length && skip < committed.length &&
+               hashMessage(messages[skip]) === committed[skip]) {
+          skip++
+        }
+      }
+      newMessages = messages.slice(skip)
+      messageHashes = messages.map(hashMessage)
+      baseMessageCount = skip
+    }
+
+    if (prev && newMessages.length === 0) {
+      return {
+        success: true,
+        txId: prev.txId,
+        sessionId: prev.sessionId,
+        messageCount: 0,
+        saveType: 'unchanged'
+      }
+    }
+
+    const createdAt = new Date().toISOString()
+    const sessionId = crypto.randomUUID()
+    let txIds
+
+    if (this.chain) {
+      txIds = buildSessionTransactions({ sessionId, messages: newMessages }, {
+        prevTxId: prev ? prev.txId : null,
+        chunkSize: this.chunkSize
+      }).map(tx => this.chain.add(tx))
+    } else {
+      txIds = [crypto.createHash('sha256')
+        .update(JSON.stringify({ prevTxId: prev ? prev.txId : null, messages: newMessages, summary, createdAt }))
+        .digest('hex')]
+    }
+    const txId = txIds[txIds.length - 1]
+
+    const session = {
+      sessionId,
+      txId,
+      txIds,
+      agentId: body.agentId || agentAddress,
+      summary: summary || '',
+      createdAt,
+      prevSessionId: prev ? prev.sessionId : null,
+      prevTxId: prev ? prev.txId : null,
+      saveType: baseMessageCount > 0 ? 'delta' : 'full',
+      messageCount: newMessages.length,
+      // How many messages of the previous session's conversation this one continues
+      baseMessageCount,
+      // Hashes of the full conversation as saved — the next delta compares against these
+      messageHashes,
+      messages: newMessages.map(msg => ({ ...msg, timestamp: msg.timestamp || createdAt })),
+      ...(body.provenance ? { provenance: body.provenance } : {})
+    }
+
+    await this._append(agentAddress, session)
+
+    return {
+      success: true,
+      txId,
+      sessionId: session.sessionId,
+      messageCount: session.messageCount,
+      saveType: session.saveType
+    }
+  }
+
+  async load(request) {
+    const { agentAddress, numSessions = 3, since = null, until = null } = request
+    if (!agentAddress) throw new Error('agentAddress required')
+
+    const sinceMs = since ? new Date(since).getTime() : -Infinity
+    const untilMs = until ? new Date(until).getTime() : Infinity
+
+    const sessions = (await this._read(agentAddress))
+      .filter(s => {
+        const ts = new Date(s.createdAt).getTime()
+        return ts >= sinceMs && ts <= untilMs
+      })
+      .slice(-numSessions)
+      .map(({ messageHashes, ...session }) => session)
+
+    return {
+      context: sessions.length ? toTranscript(sessions) : null,
+      sessions
+    }
+  }
+
+  async list(agentAddress) {
+    const sessions = await this._read(agentAddress)
+    return sessions.map(({ messages, messageHashes, ...meta }) => meta)
+  }
+}
+
+/**
+ * In-memory backend — nothing leaves the process
+ */
+export class MemoryBackend extends LocalBackend {
+  /**
+   * @param {object} [config] - { chain, chunkSize } (see LocalBackend)
+   */
+  constructor(config = {}) {
+    super(config)
+    this.agents = new Map() // agentAddress → sessions (oldest first)
+  }
+
+  async _read(agentAddress) {
+    return this.agents.get(agentAddress) || []
+  }
+
+  async _append(agentAddress, session) {
+    const sessions = this.agents.get(agentAddress) || []
+    sessions.push(session)
+    this.agents.set(agentAddress, sessions)
+  }
+}
+
+/**
+ * Filesystem backend — one append-only JSONL file per agent
+ */
+export class FileBackend extends LocalBackend {
+  /**
+   * @param {object} config
+   * @param {string} config.dir - Directory to store session files in
+   * @param {object} [config.chain] - MemoryChainSource to commit sessions to
+   * @param {number} [config.chunkSize] - Max content bytes per commitment transaction
+   */
+  constructor(config) {
+    if (!config || !config.dir) throw new Error('dir required')
+    super(config)
+
+    this.dir = config.dir
+    fs.mkdirSync(this.dir, { recursive: true })
+  }
+
+  async _read(agentAddress) {
+    const file = this._file(agentAddress)
+    if (!fs.existsSync(file)) return []
+
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+  }
+
+  async _append(agentAddress, session) {
+    fs.appendFileSync(this._file(agentAddress), JSON.stringify(session) + '\n')
+  }
+
+  _file(agentAddress) {
+    // BSV addresses are base58, but don't trust callers with path separators
+    return path.join(this.dir, `${agentAddress.replace(/[^A-Za-z0-9_-]/g, '_')}.jsonl`)
+  }
+}
+
+/**
+ * SHA-256 of a message's role and content — used for delta detection
+ * @param {object} msg
+ * @returns {string}
+ */
+function hashMessage(msg) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ role: msg.role, content: msg.content }))
+    .digest('hex')
+}
@@ -7,18 +7,44 @@
  * IndelibleMemoryBridge saves via Indelible's HTTP API (chunked, indexed, encrypted).
  * The API surface (save/load/list) is similar but the underlying mechanism differs.
  *
+ * Storage is pluggable (see backends.js): the HTTP backend is the default,
+ * MemoryBackend and FileBackend run agents with no Indelible server at all.
+ *
  * Capabilities beyond OnChainMemory:
  * - Chunked transactions (unlimited payload via delta saves)
  * - SPV bridge (no WhatsOnChain dependency)
  * - Structured JSONL with session chaining
- * - Delta saves (only new messages committed)
+ * - Delta saves (only new messages committed — and, client-side, only the new tail uploaded)
+ * - Streaming append() with batched auto-commit
+ * - Paged, filtered session history and message-level diffs between saves
  * - AES-256-GCM encryption per agent
+ * - Optional end-to-end mode: messages encrypted client-side before upload
+ * - Optional write-ahead journal: saves survive server outages and agent crashes
+ * - Relevance search over past sessions (BM25 or pluggable embeddings)
+ * - Integrity verification: loaded sessions checked against their on-chain commitments
+ * - Signed archives: export memory and import it under a new agent or operator
+ * - Pre-save redaction (PII, secrets, per-role rules) and tombstones that forget sessions
+ * - Named namespaces: private streams and team memory shared by an access list of agents
  * - Smart restore (tail-heavy priority)
  * - Redis-indexed (recoverable from chain if index lost)
  */
 
-import fetch from 'node-fetch'
+import crypto from 'crypto'
 import { DEFAULT_INDELIBLE_URL } from './constants.js'
+import { HttpBackend } from './backends.js'
+import { createPaymentClient } from './payments.js'
+import { MemoryJournal } from './journal.js'
+import { MemoryIndex } from './search.js'
+import { fitToBudget } from './budget.js'
+import { verifySessions } from './integrity.js'
+import { createArchive, readArchive } from './archive.js'
+import { createRedactionPipeline, createTombstone, readTombstone } from './redaction.js'
+import { toTranscript } from './formatters.js'
+import { resolveNamespace, encryptForMembers, decryptForMember } from './namespaces.js'
+import { DeltaTracker } from './delta.js'
+import { paginateSessions, reconstructConversation, diffMessages } from './history.js'
+import { PrivateKey } from '@bsv/sdk'
+import { encryptMessages, decryptMessages, encryptMemoryValue, decryptMemoryValue, decryptText } from './memory-crypto.js'
 
 export class IndelibleMemoryBridge {
   /**
@@ -26,102 +52,1042 @@ export class IndelibleMemoryBridge {
    * @param {string} config.indelibleUrl - Indelible server URL
    * @param {string} config.operatorAddress - BSV address of the operator
    * @param {string} config.agentAddress - BSV address of this agent
+   * @param {object} [config.backend] - Storage backend (default: HttpBackend against indelibleUrl)
+   * @param {object} [config.authClient] - createAuthClient() result — BRC-31 authenticates every request
+   *   (create it with autoPay: false when a wallet is given)
+   * @param {string} [config.identityWif] - Identity private key (WIF), alternative to authClient
+   * @param {boolean} [config.legacyAuth=false] - Use the spoofable X-Operator-Address header instead of BRC-31
+   * @param {object} [config.wallet] - BRC-100 wallet. Enables automatic payment of 402 challenges
+   * @param {number} [config.maxSatsPerCall=100] - Spending policy: max sats for a single call
+   * @param {number} [config.maxSatsPerDay=10000] - Spending policy: max sats per UTC day
+   * @param {object} [config.spendLedger] - Ledger for recorded payments (default: in-memory)
+   * @param {string} [config.encryptionWif] - Agent private key (WIF). Enables end-to-end mode:
+   *   messages and summaries are encrypted client-side and the server only sees ciphertext
+   * @param {number} [config.keyVersion=1] - Memory key version used for new saves
+   * @param {string} [config.journalPath] - Write-ahead journal file (JSONL). Enables offline mode:
+   *   saves are queued durably and flushed with exponential backoff when the server is reachable
+   * @param {number} [config.retryBaseMs=1000] - First journal retry delay (doubles per failure)
+   * @param {number} [config.retryMaxMs=300000] - Journal retry delay ceiling
+   * @param {number} [config.journalMaxAttempts=Infinity] - Discard a queued save after this many failed attempts
+   *   (see discardQueued)
+   * @param {string} [config.indexPath] - Where to persist the search index (JSON). Rebuilt from list() + load when missing
+   * @param {function} [config.embed] - async (texts) => number[][] — embedding search instead of BM25
+   * @param {function} [config.tokenizer] - (text) => token count, for maxTokens budgets (default: ~4 chars/token)
+   * @param {object} [config.chainSource] - { getTransaction(txId) } for verify() (default: the backend's chain, if any)
+   * @param {string} [config.identityCertificate] - BRC-52 certificate (hex) embedded in exported archives
+   * @param {object} [config.redaction] - createRedactionPipeline() result, or its config. Runs before every save
+   * @param {object} [config.namespaces] - Named memory streams: { [name]: { owner, members } }
+   *   owner and members are agent public keys (owner defaults to this agent). Needs encryptionWif or identityWif.
+   *   Passing a namespace name as the key to save/load/loadSessions/restore uses that stream
+   * @param {boolean} [config.clientDelta] - Track committed messages per key and upload only the new tail.
+   *   Default: on when the backend has supportsClientDelta (MemoryBackend, FileBackend), off for the
+   *   Indelible server. true with a backend that doesn't support it throws
+   * @param {string} [config.deltaStatePath] - JSON file that persists delta state across restarts
+   * @param {number} [config.appendBatchSize=10] - append(): commit after this many buffered messages
+   * @param {number} [config.appendIntervalMs=30000] - append(): commit this long after the first buffered message
    */
   constructor(config) {
+    this._config = config
     this.indelibleUrl = config.indelibleUrl || DEFAULT_INDELIBLE_URL
     this.operatorAddress = config.operatorAddress
     this.agentAddress = config.agentAddress
+    this.encryptionWif = config.encryptionWif || null
+    this.keyVersion = config.keyVersion || 1
+    this.journal = null
+    this.indexPath = config.indexPath || null
+    this.embed = config.embed || null
+    this.tokenizer = config.tokenizer || undefined
+    this.chainSource = config.chainSource || null
+    this.identityWif = config.identityWif || null
+    this.identityCertificate = config.identityCertificate || null
+    this.redaction = config.redaction
+      ? (typeof config.redaction.apply === 'function' ? config.redaction : createRedactionPipeline(config.redaction))
+      : null
+    this._index = null
+    this._flushing = null
+    this._flushTimer = null
+    this._namespaces = config.namespaces || {}
+    this._views = new Map()   // namespace name → scoped bridge
+    this._namespace = null    // set on namespace views
+    this._root = null         // the bridge a namespace view belongs to
+    this.appendBatchSize = config.appendBatchSize || 10
+    this.appendIntervalMs = config.appendIntervalMs || 30000
+    this._appends = new Map()  // key → { messages, summary, timer, committed, queued }
+    this._exitHook = null
+    this._exiting = false
+    this._queues = new Map()   // stream key → tail of its save/commit chain
 
     if (!this.operatorAddress) throw new Error('operatorAddress required')
     if (!this.agentAddress) throw new Error('agentAddress required')
+
+    // Automatic 402 handling — bridge.payments.ledger records every spend
+    this.payments = config.wallet
+      ? createPaymentClient({
+          wallet: config.wallet,
+          maxSatsPerCall: config.maxSatsPerCall,
+          maxSatsPerDay: config.maxSatsPerDay,
+          ledger: config.spendLedger
+        })
+      : null
+
+    this.backend = config.backend || new HttpBackend({
+      indelibleUrl: this.indelibleUrl,
+      operatorAddress: this.operatorAddress,
+      authClient: config.authClient,
+      identityWif: config.identityWif,
+      legacyAuth: config.legacyAuth,
+      paymentClient: this.payments
+    })
+
+    // The Indelible server doesn't understand clientDelta saves — it would store just the tail
+    const deltaSupported = this.backend.supportsClientDelta === true
+    if (config.clientDelta === true && !deltaSupported) {
+      throw new Error('clientDelta needs a backend that supports it (supportsClientDelta) — the Indelible server does not')
+    }
+    this.delta = (config.clientDelta ?? deltaSupported) && deltaSupported
+      ? new DeltaTracker({ path: config.deltaStatePath })
+      : null
+
+    if (config.journalPath) {
+      this.journal = new MemoryJournal({
+        path: config.journalPath,
+        baseDelayMs: config.retryBaseMs,
+        maxDelayMs: config.retryMaxMs,
+        maxAttempts: config.journalMaxAttempts
+      })
+      // Replay anything a previous process queued but never committed
+      if (this.journal.pending().length) this._scheduleFlush(0)
+    }
+  }
+
+  /**
+   * Rotate the end-to-end memory key
+   * New saves use the next key version; older sessions still decrypt
+   * because every ciphertext records the version that produced it.
+   *
+   * @returns {number} The new key version
+   */
+  rotateKey() {
+    if (!this.encryptionWif) throw new Error('encryptionWif required to rotate keys')
+    this.keyVersion += 1
+    return this.keyVersion
+  }
+
+  /**
+   * Get a bridge scoped to a named namespace
+   * The view has the full bridge API (save, load, search, forget, verify, ...)
+   * on the namespace's own stream, and shares this bridge's backend,
+   * journal and payment client. Entries are encrypted for every member.
+   *
+   * @param {string} name - Namespace name (configured in config.namespaces, or defined here)
+   * @param {object} [definition] - { owner, members } for a namespace not in config.namespaces
+   * @returns {IndelibleMemoryBridge} Scoped bridge
+   */
+  namespace(name, definition = null) {
+    if (this._root) return this._root.namespace(name, definition)
+    if (!definition && this._views.has(name)) return this._views.get(name)
+
+    const memberWif = this.encryptionWif || this.identityWif
+    if (!memberWif) throw new Error('encryptionWif or identityWif required for namespaces')
+
+    const ns = resolveNamespace({
+      name,
+      selfPubKey: PrivateKey.fromWif(memberWif).toPublicKey().toString(),
+      ...(definition || this._namespaces[name] || {})
+    })
+
+    const view = new IndelibleMemoryBridge({
+      ...this._config,
+      agentAddress: ns.address,
+      backend: this.backend,
+      wallet: null,
+      journalPath: null,
+      namespaces: null,
+      indexPath: this.indexPath
+        ? this.indexPath.replace(/(\.json)?$/, `.${name.replace(/[^A-Za-z0-9_-]/g, '_')}.json`)
+        : null
+    })
+    view._root = this
+    view._namespace = { ...ns, memberWif }
+    view.journal = this.journal
+    view.payments = this.payments
+    view.redaction = this.redaction
+    view.delta = this.delta
+
+    this._views.set(name, view)
+    return view
   }
 
   /**
    * Save agent memory to blockchain via Indelible API
    * Similar interface to OnChainMemory.save(key, data) but uses HTTP, not local OP_RETURN
    *
-   * @param {string} key - Agent identifier / memory key
+   * @param {string} key - Agent identifier / memory key, or a namespace name from config.namespaces
    * @param {Array|object} data - Messages array or raw data object
    * @param {object} options
    * @param {string} options.summary - Human-readable summary
+   * @param {object} [options.provenance] - Where imported memory came from (set by importArchive)
    * @returns {object} { success, txId, sessionId, messageCount, saveType }
+   *   — or { success: false, queued: true, journalId, pending, error } when journaled and the server is unreachable
+   *   With a redaction pipeline the result also carries redaction: { redacted, dropped, matches }
+   *   With clientDelta, only messages after the last committed one are uploaded; nothing new → saveType 'unchanged'
    */
   async save(key, data, options = {}) {
+    const view = this._routeNamespace(key)
+    if (view) return view.save(key, data, options)
+
     const messages = Array.isArray(data)
       ? data
       : [{ role: 'system', content: JSON.stringify(data) }]
 
-    const result = await this._call('/api/agents/save', {
+    if (!this.delta) return this._saveTail(key, null, messages, options)
+
+    return this._serialized(key, () => {
+      const { base, tail } = this.delta.diff(this._streamKey(key), messages)
+      if (base && !tail.length) {
+        return { success: true, txId: base.txId, sessionId: base.sessionId, messageCount: 0, saveType: 'unchanged' }
+      }
+      return this._saveTail(key, base, tail, options)
+    })
+  }
+
+  /**
+   * Stream a message into memory
+   * Messages are buffered per key and committed as one delta save once
+   * appendBatchSize messages are buffered or appendIntervalMs has passed
+   * since the first one — whichever comes first. A failed commit keeps the
+   * messages buffered and tries again after another interval; anything still
+   * buffered when the process is about to exit is committed then. Commits
+   * and saves for a key run one after another, each building on the last.
+   *
+   * @param {object|object[]} message - Message(s) to append ({ role, content })
+   * @param {object} [options]
+   * @param {string} [options.key] - Memory key (default: agentAddress)
+   * @param {string} [options.summary] - Summary for the next commit
+   * @returns {object} The save result if this append triggered a commit, else { buffered }
+   */
+  async append(message, options = {}) {
+    const key = options.key || this.agentAddress
+    const view = this._routeNamespace(key)
+    if (view) return view.append(message, options)
+
+    const buffer = this._appends.get(key) || { messages: [], summary: null, timer: null, committed: [], queued: [] }
+    buffer.messages.push(...(Array.isArray(message) ? message : [message]))
+    if (options.summary) buffer.summary = options.summary
+    this._appends.set(key, buffer)
+
+    if (buffer.messages.length >= this.appendBatchSize) return this.commit(key)
+
+    this._armAppendTimer(key, buffer)
+    return { buffered: buffer.messages.length }
+  }
+
+  /**
+   * Commit messages buffered by append() now
+   *
+   * @param {string} [key] - Memory key (default: agentAddress)
+   * @returns {object|null} Save result, or null if nothing was buffered
+   */
+  async commit(key = this.agentAddress) {
+    const view = this._routeNamespace(key)
+    if (view) return view.commit(key)
+
+    const buffer = this._appends.get(key)
+    if (!buffer || !buffer.messages.length) return null
+
+    if (buffer.timer) clearTimeout(buffer.timer)
+    buffer.timer = null
+    const messages = buffer.messages.splice(0)
+    const summary = buffer.summary || undefined
+    buffer.summary = null
+
+    return this._serialized(key, async () => {
+      // Messages whose last commit was only queued go again on top of the
+      // same base — the journal commits both, and the later one supersedes
+      const tail = [...buffer.queued, ...messages]
+      try {
+        let result
+        if (this.delta) {
+          // Appended messages are a pure tail — no prefix to diff against. The
+          // base is read once the previous commit has recorded its result.
+          result = await this._saveTail(key, this.delta.get(this._streamKey(key)), tail, { summary })
+        } else {
+          // No client-side deltas: send the conversation so far, and the server diffs it
+          result = await this._saveTail(key, null, [...buffer.committed, ...tail], { summary })
+          if (result.sessionId) buffer.committed.push(...tail)
+        }
+        buffer.queued = result.sessionId ? [] : tail
+        return result
+      } catch (err) {
+        buffer.messages.unshift(...messages)
+        if (!buffer.summary && summary) buffer.summary = summary
+        this._armAppendTimer(key, buffer)
+        throw err
+      }
+    })
+  }
+
+  /**
+   * Internal: commit a key's buffered messages appendIntervalMs from now
+   * The timer is unref'd, so an exit hook commits what is still buffered.
+   */
+  _armAppendTimer(key, buffer) {
+    if (buffer.timer || !buffer.messages.length) return
+    buffer.timer = setTimeout(() => {
+      buffer.timer = null
+      this.commit(key).catch(() => {}) // commit() re-arms the timer on failure
+    }, this.appendIntervalMs)
+    buffer.timer.unref?.()
+
+    if (!this._exitHook && !this._exiting) {
+      // One last attempt when the event loop drains — the unref'd timers won't fire.
+      // Only one: a commit that fails then is left buffered, or the process would never exit
+      this._exitHook = () => {
+        process.removeListener('beforeExit', this._exitHook)
+        this._exitHook = null
+        this._exiting = true
+        for (const [bufferedKey, pending] of this._appends) {
+          if (pending.messages.length) this.commit(bufferedKey).catch(() => {})
+        }
+      }
+      process.on('beforeExit', this._exitHook)
+    }
+  }
+
+  /**
+   * Internal: run saves and commits for a key one at a time, in call order,
+   * so each one diffs against the delta state the previous one recorded
+   */
+  _serialized(key, fn) {
+    const stream = this._streamKey(key)
+    const previous = this._queues.get(stream) || Promise.resolve()
+    const run = previous.then(fn)
+    const settled = run.catch(() => {})  // a failed save doesn't block the next one
+    this._queues.set(stream, settled)
+    settled.then(() => {
+      if (this._queues.get(stream) === settled) this._queues.delete(stream)
+    })
+    return run
+  }
+
+  /**
+   * Internal: redact and commit the messages after a delta base, then advance the delta state
+   */
+  async _saveTail(key, base, tail, options) {
+    let summary = options.summary || `Agent memory: ${key}`
+    let messages = tail
+    let report = null
+
+    if (this.redaction) {
+      const redacted = this.redaction.apply(tail, { summary })
+      messages = redacted.messages
+      summary = redacted.summary ?? summary
+      report = redacted.report
+      if (!messages.length) throw new Error('Nothing left to save after redaction')
+    }
+
+    const result = await this._commit(key, messages, summary, options.provenance, base)
+    // A save that was only queued hasn't happened yet — the next one still builds on the old base
+    if (this.delta && result.sessionId) this.delta.record(this._streamKey(key), { base, tail, result })
+
+    return report ? { ...result, redaction: report } : result
+  }
+
+  /**
+   * Internal: delta state key — one stream per agent address and memory key
+   */
+  _streamKey(key) {
+    return `${this.agentAddress}:${key}`
+  }
+
+  /**
+   * Forget sessions
+   * Chain data can't be deleted, so this saves a tombstone session naming
+   * them; load(), loadSessions(), restore(), search() and list() skip the
+   * forgotten sessions and the tombstone from then on. verify() still
+   * covers them.
+   *
+   * @param {string|string[]} sessionIds - Session(s) to forget
+   * @param {object} [options]
+   * @param {string} [options.reason] - Recorded in the tombstone
+   * @returns {object} The tombstone's save result
+   */
+  async forget(sessionIds, options = {}) {
+    const ids = Array.isArray(sessionIds) ? sessionIds : [sessionIds]
+    if (!ids.length) throw new Error('sessionIds required')
+
+    const known = new Set((await this._listAll()).map(s => s.sessionId))
+    for (const id of ids) {
+      if (!known.has(id)) throw new Error(`Session not found: ${id}`)
+    }
+
+    // Tombstones bypass redaction — session ids could trip the PII patterns
+    const tombstone = createTombstone(ids, options.reason || null)
+    return this._commit(this.agentAddress, tombstone.messages, tombstone.summary)
+  }
+
+  /**
+   * Internal: encrypt (end-to-end mode) and save, through the journal if enabled
+   * With a delta base the body only carries the tail, flagged clientDelta
+   * with the session and message count it continues from.
+   */
+  async _commit(key, messages, summary, provenance = null, base = null) {
+    const body = {
       agentAddress: this.agentAddress,
       agentId: key,
       messages,
-      summary: options.summary || `Agent memory: ${key}`,
-      operatorAddress: this.operatorAddress
-    })
+      summary,
+      operatorAddress: this.operatorAddress,
+      ...(provenance ? { provenance } : {}),
+      ...(base ? { clientDelta: true, prevSessionId: base.sessionId, baseMessageCount: base.count } : {})
+    }
+
+    if (this._namespace) {
+      const members = { senderWif: this._namespace.memberWif, members: this._namespace.members }
+      body.messages = messages.map(msg => ({ ...msg, content: encryptForMembers({ ...members, value: msg.content }) }))
+      body.summary = encryptForMembers({ ...members, value: summary })
+      body.clientEncrypted = true
+      body.namespace = this._namespace.name
+    } else if (this.encryptionWif) {
+      const keyConfig = { privateKeyWif: this.encryptionWif, keyVersion: this.keyVersion }
+      body.messages = encryptMessages(messages, keyConfig)
+      body.summary = encryptMemoryValue({ ...keyConfig, value: summary })
+      body.clientEncrypted = true
+      body.keyVersion = this.keyVersion
+    }
+
+    if (this.journal) {
+      // Hash the plaintext — ciphertext differs on every save and would defeat dedup
+      const queued = this.journal.enqueue({
+        action: 'save',
+        body,
+        // The delta base is part of the identity — the same tail after a different prefix is new content
+        hash: MemoryJournal.hash({ agentAddress: this.agentAddress, agentId: key, messages, summary, base: base ? base.hash : null })
+      })
+      if (queued.committed) return queued.result
+
+      // Whichever flush pass commits the entry, the journal has its result
+      await this.flush({ force: true })
+      const committed = this.journal.committedResult(queued.hash)
+      if (committed) return committed
+
+      const status = this.journal.status()
+      return {
+        success: false,
+        queued: true,
+        journalId: queued.id,
+        pending: status.pending,
+        error: status.lastError
+      }
+    }
+
+    const result = await this.backend.save(body)
 
     return result
   }
 
+  /**
+   * Flush queued saves from the write-ahead journal, oldest first
+   * Stops at the first failure so session chaining stays in order,
+   * and schedules a retry with exponential backoff.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.force=false] - Ignore backoff and retry immediately
+   * @returns {object} { flushed, pending, results: { [journalId]: serverResult } }
+   */
+  async flush(options = {}) {
+    // Namespace views share the root's journal — and its flushes
+    if (this._root) return this._root.flush(options)
+    if (!this.journal) return { flushed: 0, pending: 0, results: {} }
+
+    // One pass at a time. A caller arriving mid-flush gets its own pass after
+    // the in-flight one, so entries queued since then are covered too.
+    const previous = this._flushing || Promise.resolve()
+    const run = previous.catch(() => {}).then(() => this._flushPass(options))
+    this._flushing = run
+
+    try {
+      return await run
+    } finally {
+      if (this._flushing === run) this._flushing = null
+    }
+  }
+
+  /**
+   * Drop a queued save that will never succeed
+   * It stops holding up the saves queued after it and is kept in the
+   * journal's dead-letter list (bridge.journal.discarded()).
+   *
+   * @param {string} journalId - journalId from a queued save result
+   * @param {object} [options]
+   * @param {string} [options.reason] - Recorded with the discarded entry
+   * @returns {object} The discarded entry
+   */
+  async discardQueued(journalId, options = {}) {
+    if (this._root) return this._root.discardQueued(journalId, options)
+    if (!this.journal) throw new Error('journalPath required')
+
+    // Not while a pass may be sending it
+    await (this._flushing || Promise.resolve()).catch(() => {})
+    const discarded = this.journal.discard(journalId, options.reason || null)
+    if (!discarded) throw new Error(`No queued save: ${journalId}`)
+    if (this.journal.pending().length) this._scheduleFlush(0)
+    return discarded
+  }
+
+  /**
+   * Internal: one flush pass. The head of the queue is re-read after each
+   * entry, so saves queued while the pass runs are sent in the same pass.
+   */
+  async _flushPass(options) {
+    const { force = false } = options
+    const results = {}
+    let flushed = 0
+
+    let entry
+    while ((entry = this.journal.pending()[0])) {
+      if (!force && entry.nextAttemptAt > Date.now()) {
+        this._scheduleFlush(entry.nextAttemptAt - Date.now())
+        break
+      }
+
+      try {
+        const result = await this.backend[entry.action](entry.body)
+        this.journal.markCommitted(entry.id, result)
+        results[entry.id] = result
+        flushed++
+      } catch (err) {
+        const delay = this.journal.markFailed(entry.id, err)
+        if (!this.journal.isPending(entry.id)) continue  // discarded after journalMaxAttempts
+        this._scheduleFlush(delay)
+        break
+      }
+    }
+
+    return { flushed, pending: this.journal.pending().length, results }
+  }
+
+  /**
+   * Write-ahead journal status
+   * @returns {object|null} { path, pending, committed, discarded, oldestQueuedAt, nextAttemptAt, lastError } or null if no journal
+   */
+  queueStatus() {
+    return this.journal ? this.journal.status() : null
+  }
+
   /**
    * Load agent memory from blockchain via Indelible API
    * Similar interface to OnChainMemory.load(key) but returns formatted multi-session context
    *
-   * @param {string} key - Agent identifier (unused in v1, loads by address)
+   * @param {string} key - Agent identifier, or a namespace name from config.namespaces
    * @param {object} options
    * @param {number} options.numSessions - Number of sessions to restore (default 3)
+   * @param {number} [options.maxTokens] - Fit the context into this many tokens (see restore())
+   * @param {number} [options.maxChars] - Fit the context into this many characters (see restore())
    * @returns {string|null} Formatted context string or null
    */
   async load(key, options = {}) {
-    const result = await this._call('/api/agents/load', {
+    const view = this._routeNamespace(key)
+    if (view) return view.load(key, options)
+
+    if (options.maxTokens || options.maxChars) {
+      const { context } = await this.restore(key, options)
+      return context
+    }
+
+    // The server's formatted context can't skip forgotten sessions or
+    // decrypt namespace entries — build it here instead
+    if (this._namespace || (await this._forgotten()).size) {
+      const sessions = await this.loadSessions(key, { numSessions: options.numSessions || 3 })
+      return sessions.length ? toTranscript(sessions) : null
+    }
+
+    const result = await this.backend.load({
       agentAddress: this.agentAddress,
       numSessions: options.numSessions || 3,
       operatorAddress: this.operatorAddress
     })
 
-    return result.context || null
+    if (!result.context) return null
+
+    return this.encryptionWif
+      ? decryptText(result.context, { privateKeyWif: this.encryptionWif })
+      : result.context
+  }
+
+  /**
+   * Load agent memory as structured sessions instead of a formatted string
+   * Use the formatters in formatters.js to render them into a prompt.
+   *
+   * @param {string} key - Agent identifier, or a namespace name from config.namespaces
+   * @param {object} options
+   * @param {number} options.numSessions - Number of sessions to restore (default 3)
+   * @param {string} [options.since] - Only sessions created at or after this ISO timestamp
+   * @param {string} [options.until] - Only sessions created at or before this ISO timestamp
+   * @param {boolean} [options.includeForgotten=false] - Also return forgotten sessions and tombstones
+   * @returns {Array} Sessions, oldest first:
+   *   [{ sessionId, txIds, summary, createdAt, prevSessionId, messages: [{ role, content, timestamp }] }]
+   *   In a namespace, rejected counts entries skipped because a non-member wrote them
+   */
+  async loadSessions(key, options = {}) {
+    const view = this._routeNamespace(key)
+    if (view) return view.loadSessions(key, options)
+
+    const { numSessions = 3, since = null, until = null, includeForgotten = false } = options
+    const forgotten = includeForgotten ? new Set() : await this._forgotten()
+
+    const result = await this.backend.load({
+      agentAddress: this.agentAddress,
+      // Over-fetch so skipping forgotten sessions still leaves numSessions
+      numSessions: numSessions + forgotten.size,
+      format: 'sessions',
+      ...(since ? { since } : {}),
+      ...(until ? { until } : {}),
+      operatorAddress: this.operatorAddress
+    })
+
+    const sinceMs = since ? new Date(since).getTime() : -Infinity
+    const untilMs = until ? new Date(until).getTime() : Infinity
+
+    return sessionsOf(result)
+      .map(raw => this._normalizeSession(raw))
+      .filter(session => {
+        if (forgotten.has(session.sessionId)) return false
+        // Namespace sessions with nothing this agent may read (e.g. written by a non-member)
+        if (session.rejected && !session.messages.length && !includeForgotten) return false
+        if (!session.createdAt) return true
+        const ts = new Date(session.createdAt).getTime()
+        return ts >= sinceMs && ts <= untilMs
+      })
+      .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')))
+      .slice(-numSessions)
+  }
+
+  /**
+   * Restore memory into a token (or character) budget
+   * Fills tail-first: recent messages verbatim, then summaries of older
+   * sessions, and reports what was included, truncated or dropped.
+   *
+   * @param {string} key - Agent identifier, or a namespace name from config.namespaces
+   * @param {object} options
+   * @param {number} [options.numSessions=3] - Sessions to consider
+   * @param {number} [options.maxTokens] - Token budget
+   * @param {number} [options.maxChars] - Character budget (if maxTokens not set)
+   * @param {function} [options.tokenizer] - Overrides config.tokenizer
+   * @returns {object} { context, sessions, report } — see fitToBudget in budget.js
+   */
+  async restore(key, options = {}) {
+    const view = this._routeNamespace(key)
+    if (view) return view.restore(key, options)
+
+    const { numSessions = 3, maxTokens, maxChars, tokenizer = this.tokenizer } = options
+    const sessions = await this.loadSessions(key, { numSessions })
+
+    return fitToBudget(sessions, { maxTokens, maxChars, tokenizer })
+  }
+
+  /**
+   * Search past messages by relevance
+   * The local index is synced first: any session list() reports that the
+   * index hasn't seen yet is loaded and indexed (all of them, if the index
+   * file is missing). Forgotten sessions are never returned.
+   *
+   * @param {string} query - What to recall
+   * @param {object} [options]
+   * @param {number} [options.topK=5] - Number of results
+   * @param {number|string[]} [options.sessions] - Search only the N most recent sessions, or these session ids
+   * @returns {Array} [{ score, sessionId, messageIndex, role, content, createdAt, txIds }]
+   */
+  async search(query, options = {}) {
+    const { topK = 5, sessions = null } = options
+    if (!query) throw new Error('query required')
+
+    const all = await this._syncIndex()
+    const forgotten = forgottenIds(all)
+    const listed = all.filter(s => !forgotten.has(s.sessionId))
+
+    let sessionIds = listed.map(s => s.sessionId)
+    if (Array.isArray(sessions)) sessionIds = sessions.filter(id => !forgotten.has(id))
+    else if (typeof sessions === 'number') sessionIds = sessionIds.slice(-sessions)
+
+    return this._index.search(query, { topK, sessionIds })
+  }
+
+  /**
+   * Verify sessions against their on-chain commitments
+   * Fetches each session's transactions from the chain source, recomputes
+   * the content hash of the loaded messages (across chunks, for delta saves
+   * just the new messages) and checks the links to the previous session.
+   * Only backends that commit in the integrity.js format (supportsVerify —
+   * local backends with a chain) can be verified; others throw.
+   *
+   * @param {string} [target] - A sessionId or one of its txIds (default: every session)
+   * @returns {object} { valid, sessions: [{ sessionId, txIds, valid, contentHash, committedHash,
+   *   checks: { txFound, txIdMatch, chunksComplete, contentHash, chainLink }, errors }] }
+   */
+  async verify(target = null) {
+    if (this.backend.supportsVerify !== true) {
+      throw new Error('Unsupported backend: verify() needs one that commits sessions in the indelible.agent format (supportsVerify) — the Indelible server does not')
+    }
+    const chainSource = this.chainSource || this.backend.chain
+    if (!chainSource) throw new Error('chainSource required to verify memory')
+
+    // Raw sessions — in end-to-end mode the ciphertext is what was committed
+    const listed = await this.backend.list(this.agentAddress)
+    const result = await this.backend.load({
+      agentAddress: this.agentAddress,
+      numSessions: listed.length,
+      format: 'sessions',
+      operatorAddress: this.operatorAddress
+    })
+    const sessions = sessionsOf(result)
+      .map(raw => ({
+        sessionId: raw.sessionId || raw.id || null,
+        txIds: raw.txIds || (raw.txId ? [raw.txId] : []),
+        prevSessionId: raw.prevSessionId || null,
+        createdAt: raw.createdAt || raw.timestamp || null,
+        messages: raw.messages || []
+      }))
+      .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')))
+
+    let reports
+    if (target) {
+      const i = sessions.findIndex(s => s.sessionId === target || s.txIds.includes(target))
+      if (i === -1) throw new Error(`Session not found: ${target}`)
+      reports = await verifySessions([sessions[i]], chainSource, { previous: sessions[i - 1] })
+    } else {
+      reports = await verifySessions(sessions, chainSource)
+    }
+
+    return { valid: reports.every(r => r.valid), sessions: reports }
+  }
+
+  /**
+   * Export memory as a signed, self-describing archive
+   * Sessions are exported decrypted, so the archive can be re-imported under
+   * a different key — store it accordingly.
+   *
+   * @param {object} [options]
+   * @param {string} [options.signingWif] - Key that signs the manifest (default: identityWif, then encryptionWif)
+   * @param {string} [options.identityCertificate] - BRC-52 certificate hex (default: config.identityCertificate)
+   * @param {string} [options.since] - Only sessions created at or after this ISO timestamp
+   * @param {string} [options.until] - Only sessions created at or before this ISO timestamp
+   * @returns {string} Archive (JSONL: signed manifest line, then one line per session)
+   */
+  async exportArchive(options = {}) {
+    const {
+      signingWif = this.identityWif || this.encryptionWif,
+      identityCertificate = this.identityCertificate,
+      since = null,
+      until = null
+    } = options
+
+    if (!signingWif) throw new Error('signingWif required to sign the archive')
+
+    const listed = await this.backend.list(this.agentAddress)
+    const sessions = listed.length
+      ? await this.loadSessions(null, { numSessions: listed.length, since, until })
+      : []
+
+    return createArchive({
+      sessions,
+      agentAddress: this.agentAddress,
+      operatorAddress: this.operatorAddress,
+      signingWif,
+      identityCertificate
+    })
+  }
+
+  /**
+   * Import an archive under this bridge's agentAddress and operatorAddress
+   * The archive is verified first. Each session is re-saved in order with
+   * provenance pointing back to the original session and txIds. Delta
+   * sessions only carry their new messages, so each one is re-saved as the
+   * full conversation it continues (rebuilt from the archived chain) and
+   * becomes a delta again on this side.
+   *
+   * @param {string} archive - Archive text from exportArchive
+   * @param {object} [options]
+   * @param {string} [options.expectedPublicKey] - Only accept archives signed by this key
+   * @param {string} [options.key] - Memory key for the re-saved sessions (default: the source agentAddress)
+   * @returns {object} { imported, signerPublicKey, sessions: [{ sourceSessionId, sourceTxIds, sessionId, txId, saveType }] }
+   */
+  async importArchive(archive, options = {}) {
+    const { expectedPublicKey = null } = options
+    const verified = await readArchive(archive, { expectedPublicKey })
+    if (!verified.valid) throw new Error(`Invalid archive: ${verified.errors.join('; ')}`)
+
+    const { manifest } = verified
+    const key = options.key || manifest.agentAddress
+    const archiveHash = crypto.createHash('sha256').update(String(archive)).digest('hex')
+    const importedAt = new Date().toISOString()
+    const sessions = []
+
+    for (const session of verified.sessions) {
+      if (!session.messages.length) continue
+
+      const result = await this.save(key, reconstructConversation(session.sessionId, verified.sessions), {
+        summary: session.summary,
+        provenance: {
+          sourceAgentAddress: manifest.agentAddress,
+          sourceOperatorAddress: manifest.operatorAddress,
+          sourceSessionId: session.sessionId,
+          sourceTxIds: session.txIds || [],
+          sourceCreatedAt: session.createdAt || null,
+          signerPublicKey: verified.signerPublicKey,
+          archiveHash,
+          importedAt
+        }
+      })
+
+      sessions.push({
+        sourceSessionId: session.sessionId,
+        sourceTxIds: session.txIds || [],
+        sessionId: result.sessionId || null,
+        txId: result.txId || null,
+        saveType: result.saveType || (result.queued ? 'queued' : null)
+      })
+    }
+
+    return { imported: sessions.length, signerPublicKey: verified.signerPublicKey, sessions }
   }
 
   /**
    * List all sessions for this agent
+   * @param {object} [options]
+   * @param {boolean} [options.includeForgotten=false] - Also list forgotten sessions and tombstones
+   * @param {string} [options.since] - Only sessions created at or after this ISO timestamp
+   * @param {string} [options.until] - Only sessions created at or before this ISO timestamp
+   * @param {string} [options.query] - Only sessions whose summary contains this text (case-insensitive)
    * @returns {Array} Session metadata (no content, just summaries/timestamps/txIds)
    */
-  async list() {
-    const res = await fetch(
-      `${this.indelibleUrl}/api/agents/sessions/${this.agentAddress}`,
-      {
-        headers: {
-          'X-Operator-Address': this.operatorAddress
-        }
+  async list(options = {}) {
+    const { includeForgotten = false, since = null, until = null, query = null } = options
+    let sessions = await this._listAll()
+
+    if (!includeForgotten) {
+      const forgotten = forgottenIds(sessions)
+      sessions = sessions.filter(s => !forgotten.has(s.sessionId))
+    }
+
+    return (since || until || query)
+      ? paginateSessions(sessions, { since, until, query, order: 'asc' }).sessions
+      : sessions
+  }
+
+  /**
+   * Page through session history
+   * Filters run over the session listing (metadata only, summaries decrypted).
+   *
+   * @param {object} [options]
+   * @param {number} [options.limit=50] - Page size
+   * @param {string} [options.cursor] - nextCursor from the previous page
+   * @param {string} [options.order='desc'] - 'desc' (newest first) or 'asc'
+   * @param {string} [options.since] - Only sessions created at or after this ISO timestamp
+   * @param {string} [options.until] - Only sessions created at or before this ISO timestamp
+   * @param {string} [options.query] - Only sessions whose summary contains this text (case-insensitive)
+   * @param {boolean} [options.includeForgotten=false] - Also list forgotten sessions and tombstones
+   * @returns {object} { sessions, nextCursor, total } — nextCursor is null on the last page
+   */
+  async listSessions(options = {}) {
+    const { limit = 50, includeForgotten = false, ...filters } = options
+    const sessions = await this.list({ includeForgotten })
+    return paginateSessions(sessions, { ...filters, limit })
+  }
+
+  /**
+   * Show which messages changed between two saves
+   * Each side is the full conversation as of that save (delta sessions are
+   * rebuilt from their chain), compared message by message.
+   *
+   * @param {string} sessionA - Earlier session id
+   * @param {string} sessionB - Later session id
+   * @returns {object} { from: { sessionId, createdAt, messageCount }, to: { ... },
+   *   added: [{ index, role, content }], removed: [{ index, role, content }], unchanged }
+   */
+  async diff(sessionA, sessionB) {
+    if (!sessionA || !sessionB) throw new Error('two session ids required')
+
+    const listed = (await this.list())
+      .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')))
+    const byId = new Map(listed.map(s => [s.sessionId, s]))
+
+    // Load from the oldest session either conversation depends on
+    let oldest = listed.length
+    for (const id of [sessionA, sessionB]) {
+      let current = byId.get(id)
+      if (!current) throw new Error(`Session not found: ${id}`)
+      while (current) {
+        oldest = Math.min(oldest, listed.indexOf(current))
+        current = current.saveType === 'delta' ? byId.get(current.prevSessionId) : null
+      }
+    }
+
+    const sessions = await this.loadSessions(null, { numSessions: listed.length - oldest })
+    const from = reconstructConversation(sessionA, sessions)
+    const to = reconstructConversation(sessionB, sessions)
+    const side = (id, messages) => ({ sessionId: id, createdAt: byId.get(id).createdAt || null, messageCount: messages.length })
+
+    return { from: side(sessionA, from), to: side(sessionB, to), ...diffMessages(from, to) }
+  }
+
+  /**
+   * Internal: every listed session, summaries decrypted
+   */
+  async _listAll() {
+    const sessions = await this.backend.list(this.agentAddress)
+
+    if (!this._namespace && !this.encryptionWif) return sessions
+
+    return sessions.map(session => ({ ...session, summary: this._decryptSummary(session.summary) }))
+  }
+
+  /**
+   * Internal: the namespace view a key refers to, if it names a configured namespace
+   */
+  _routeNamespace(key) {
+    if (this._root || !key || !Object.prototype.hasOwnProperty.call(this._namespaces, key)) return null
+    return this.namespace(key)
+  }
+
+  /**
+   * Internal: decrypt a summary (end-to-end or namespace mode)
+   * Namespace summaries that are plaintext, from non-members or not encrypted
+   * for us come back empty — so they can't pose as tombstones either.
+   */
+  _decryptSummary(summary) {
+    if (this._namespace) {
+      try {
+        return decryptForMember({ recipientWif: this._namespace.memberWif, value: summary, members: this._namespace.members })
+      } catch {
+        return ''
       }
-    )
+    }
+    return this.encryptionWif
+      ? decryptMemoryValue({ privateKeyWif: this.encryptionWif, value: summary })
+      : summary
+  }
+
+  /**
+   * Internal: ids of forgotten sessions and of the tombstones themselves
+   * @returns {Set<string>}
+   */
+  async _forgotten() {
+    return forgottenIds(await this._listAll())
+  }
+
+  /**
+   * Internal: bring the search index up to date with list()
+   * @returns {Array} Listed sessions, oldest first
+   */
+  async _syncIndex() {
+    if (!this._index) {
+      this._index = this.indexPath
+        ? MemoryIndex.load(this.indexPath, { embed: this.embed })
+        : new MemoryIndex({ embed: this.embed })
+    }
+
+    const listed = (await this._listAll())
+      .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')))
 
-    if (!res.ok) {
-      const err = await res.text()
-      throw new Error(`List failed (${res.status}): ${err}`)
+    // Load from the oldest unindexed session onwards — usually just the newest few
+    const firstMissing = listed.findIndex(s => !this._index.hasSession(s.sessionId))
+    if (firstMissing !== -1) {
+      const sessions = await this.loadSessions(null, {
+        numSessions: listed.length - firstMissing,
+        includeForgotten: true
+      })
+      for (const session of sessions) await this._index.addSession(session)
+      if (this.indexPath) this._index.save(this.indexPath)
     }
 
-    const data = await res.json()
-    return data.sessions || []
+    return listed
   }
 
   /**
-   * Internal: POST to Indelible server
+   * Internal: run a background flush after a delay
+   * The timer is unref'd so a pending retry never keeps the process alive.
    */
-  async _call(path, body) {
-    const res = await fetch(`${this.indelibleUrl}${path}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Operator-Address': this.operatorAddress
-      },
-      body: JSON.stringify(body)
-    })
+  _scheduleFlush(delay) {
+    if (this._flushTimer) clearTimeout(this._flushTimer)
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null
+      this.flush().catch(() => {})
+    }, delay)
+    this._flushTimer.unref?.()
+  }
 
-    if (!res.ok) {
-      const err = await res.text()
-      throw new Error(`Indelible ${path} failed (${res.status}): ${err}`)
+  /**
+   * Internal: coerce a raw server session into the structured session shape
+   * and decrypt it when end-to-end mode is on
+   */
+  _normalizeSession(raw) {
+    const session = {
+      sessionId: raw.sessionId || raw.id || null,
+      txIds: raw.txIds || (raw.txId ? [raw.txId] : []),
+      summary: raw.summary || '',
+      createdAt: raw.createdAt || raw.timestamp || null,
+      prevSessionId: raw.prevSessionId || null,
+      saveType: raw.saveType || null,
+      ...(Number.isInteger(raw.baseMessageCount) ? { baseMessageCount: raw.baseMessageCount } : {}),
+      ...(raw.provenance ? { provenance: raw.provenance } : {}),
+      messages: (raw.messages || []).map(msg => ({
+        ...msg,
+        role: msg.role || 'user',
+        timestamp: msg.timestamp || null
+      }))
+    }
+
+    if (this._namespace) {
+      // Skip plaintext entries, entries from non-members and entries not encrypted for this agent
+      const { memberWif, members } = this._namespace
+      const readable = session.messages.flatMap(msg => {
+        try {
+          return [{ ...msg, content: decryptForMember({ recipientWif: memberWif, value: msg.content, members }) }]
+        } catch {
+          return []
+        }
+      })
+      session.summary = this._decryptSummary(session.summary)
+      session.rejected = session.messages.length - readable.length
+      session.messages = readable
+    } else if (this.encryptionWif) {
+      const keyConfig = { privateKeyWif: this.encryptionWif }
+      session.summary = decryptMemoryValue({ ...keyConfig, value: session.summary })
+      session.messages = decryptMessages(session.messages, keyConfig)
     }
 
-    return res.json()
+    return session
+  }
+}
+
+/**
+ * Sessions from a format: 'sessions' load
+ * A server that ignores the format answers with context only — that is not
+ * the same as having no sessions, so say so.
+ *
+ * @param {object} result - backend.load() result
+ * @returns {object[]} Raw sessions
+ */
+function sessionsOf(result) {
+  if (!result || !Array.isArray(result.sessions)) {
+    throw new Error("Backend returned no sessions array — it does not support format: 'sessions'")
+  }
+  return result.sessions
+}
+
+/**
+ * Ids of sessions named by tombstones, plus the tombstones themselves
+ * @param {object[]} sessions - Listed sessions with decrypted summaries
+ * @returns {Set<string>}
+ */
+function forgottenIds(sessions) {
+  const ids = new Set()
+  for (const session of sessions) {
+    const tombstone = readTombstone(session)
+    if (!tombstone) continue
+    ids.add(session.sessionId)
+    for (const id of tombstone.sessionIds) ids.add(id)
   }
+  return ids
 }
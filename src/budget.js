@@ -0,0 +1,160 @@
+/**
+ * Token-Budgeted Context Restore
+ *
+ * Fits restored memory into an LLM context window. The budget is filled
+ * tail-first: the newest messages go in verbatim, a message that straddles
+ * the limit is truncated (keeping its end), and older sessions that no
+ * longer fit fall back to their one-line summaries. Whatever is left is
+ * dropped — and the report says exactly what was included, truncated,
+ * summarized or dropped, so you can tell whether important history was cut.
+ *
+ * The tokenizer is pluggable: pass any (text) => number. The default
+ * estimate is ~4 characters per token. With maxChars the budget is
+ * measured in characters instead.
+ */
+
+import { toTranscript } from './formatters.js'
+
+/** Smallest remainder worth spending on a truncated message */
+const MIN_TRUNCATE_UNITS = 16
+
+/**
+ * Default token estimate (~4 chars per token)
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4)
+}
+
+/**
+ * Render a message the way toTranscript does, for costing
+ * @param {object} msg
+ * @returns {string}
+ */
+function renderMessage(msg) {
+  return toTranscript([{ messages: [msg] }]).split('\n').slice(1).join('\n')
+}
+
+/**
+ * Fit structured sessions into a token or character budget
+ *
+ * @param {object[]} sessions - Sessions from loadSessions (oldest first)
+ * @param {object} options
+ * @param {number} [options.maxTokens] - Token budget
+ * @param {number} [options.maxChars] - Character budget (used if maxTokens not set)
+ * @param {function} [options.tokenizer] - (text) => token count (default: estimateTokens)
+ * @param {number} [options.summaryShare=0.2] - Fraction of the budget reserved for older sessions' summaries
+ * @returns {object} { context, sessions, report }
+ *   report: { budget, unit, used, sessions: [{ sessionId, status, included, truncated, dropped }],
+ *             totals: { included, truncated, dropped, summarized } }
+ *   session status: 'full' | 'partial' | 'summary' | 'dropped'
+ */
+export function fitToBudget(sessions, options) {
+  const { maxTokens, maxChars, tokenizer = estimateTokens, summaryShare = 0.2 } = options
+
+  if (!maxTokens && !maxChars) throw new Error('maxTokens or maxChars required')
+
+  const budget = maxTokens || maxChars
+  const unit = maxTokens ? 'tokens' : 'chars'
+  const cost = maxTokens ? tokenizer : (text) => text.length
+
+  // Verbatim tail may not eat the share reserved for older sessions' summaries
+  // (whatever the summaries don't use is simply left over)
+  const tailBudget = sessions.length > 1 ? budget - Math.floor(budget * summaryShare) : budget
+
+  let used = 0
+  let tailOpen = true // still filling verbatim messages from the tail
+  const fitted = []   // newest first, reversed at the end
+  const reports = []
+
+  for (let s = sessions.length - 1; s >= 0; s--) {
+    const session = sessions[s]
+    // Count the separators toTranscript adds, so the rendered context never overshoots
+    const header = toTranscript([{ ...session, messages: [] }]) + '\n\n'
+    const headerCost = cost(header)
+    const report = { sessionId: session.sessionId, status: 'dropped', included: 0, truncated: 0, dropped: 0 }
+    reports.push(report)
+
+    if (used + headerCost > (tailOpen ? tailBudget : budget)) {
+      report.dropped = session.messages.length
+      tailOpen = false
+      continue
+    }
+    used += headerCost
+
+    const kept = []
+    for (let m = session.messages.length - 1; m >= 0 && tailOpen; m--) {
+      const msg = session.messages[m]
+      const msgCost = cost('\n' + renderMessage(msg))
+
+      if (used + msgCost <= tailBudget) {
+        kept.unshift(msg)
+        used += msgCost
+        report.included++
+        continue
+      }
+
+      // Doesn't fit whole — keep the end of it if there's meaningful room left
+      const room = tailBudget - used
+      if (room >= MIN_TRUNCATE_UNITS && typeof msg.content === 'string') {
+        const content = truncateToFit(msg, room, cost)
+        if (content) {
+          kept.unshift({ ...msg, content, truncated: true })
+          used += cost('\n' + renderMessage({ ...msg, content }))
+          report.truncated++
+        }
+      }
+      tailOpen = false
+    }
+
+    report.dropped = session.messages.length - report.included - report.truncated
+    if (report.dropped === 0 && report.truncated === 0) report.status = 'full'
+    else report.status = kept.length ? 'partial' : 'summary'
+
+    fitted.push({ ...session, messages: kept })
+  }
+
+  fitted.reverse()
+  reports.reverse()
+
+  const totals = { included: 0, truncated: 0, dropped: 0, summarized: 0 }
+  for (const r of reports) {
+    totals.included += r.included
+    totals.truncated += r.truncated
+    totals.dropped += r.dropped
+    if (r.status === 'summary') totals.summarized++
+  }
+
+  return {
+    context: fitted.length ? toTranscript(fitted) : null,
+    sessions: fitted,
+    report: { budget, unit, used, sessions: reports, totals }
+  }
+}
+
+/**
+ * Largest tail of a message's content that fits in the remaining room
+ * (binary search over the cut point)
+ *
+ * @returns {string|null} Truncated content prefixed with an ellipsis, or null if nothing fits
+ */
+function truncateToFit(msg, room, cost) {
+  // A handful of characters is noise, not context — require a meaningful tail
+  let lo = Math.min(MIN_TRUNCATE_UNITS, msg.content.length - 1)
+  let hi = msg.content.length - 1
+  let best = null
+
+  while (lo <= hi) {
+    const keep = Math.floor((lo + hi) / 2)
+    const content = '…' + msg.content.slice(-keep)
+    if (cost('\n' + renderMessage({ ...msg, content })) <= room) {
+      best = content
+      lo = keep + 1
+    } else {
+      hi = keep - 1
+    }
+  }
+
+  return best
+}
@@ -1,10 +1,43 @@
 /**
  * ClawSats Capability Registration
- * Registers save_context and load_context as paid ClawSats capabilities
+ * Registers Indelible memory operations as paid ClawSats capabilities:
+ * save_context, load_context, list_sessions, search_memory, verify_memory, export_memory
+ *
+ * Every handler is guarded — per-caller rate limit, payload size limit,
+ * its published inputSchema, then ownership of the agentAddress — and
+ * rejects with a CapabilityError (see validation.js) before anything
+ * reaches storage. A caller may only touch the memory of the address its
+ * authenticated identity key hashes to, or of addresses the operator's
+ * allow-list grants it. Completed calls
+ * carry a signed receipt (see receipts.js) when the operator has an
+ * identity key.
  */
 
-import fetch from 'node-fetch'
-import { PRICES, CAPABILITY_TAGS, DEFAULT_INDELIBLE_URL } from './constants.js'
+import { PublicKey } from '@bsv/sdk'
+import { CAPABILITY_TAGS, DEFAULT_INDELIBLE_URL, DEFAULT_NUM_SESSIONS } from './constants.js'
+import { HttpBackend } from './backends.js'
+import { IndelibleMemoryBridge } from './bridge.js'
+import { createPricing } from './pricing.js'
+import { CapabilityError, validateSchema, createRateLimiter } from './validation.js'
+import { createReceipt } from './receipts.js'
+
+export const CAPABILITY_NAMES = ['save_context', 'load_context', 'list_sessions', 'search_memory', 'verify_memory', 'export_memory']
+
+// Per-agent bridges kept warm between calls (search indexes live on them)
+const MAX_CACHED_BRIDGES = 100
+
+// Shared schema fragments
+const AGENT_ADDRESS = { type: 'string', minLength: 26, maxLength: 35, pattern: '^[13mn2][1-9A-HJ-NP-Za-km-z]+$' }
+const TIMESTAMP = { type: 'string', maxLength: 64 }
+const MESSAGE = {
+  type: 'object',
+  required: ['role', 'content'],
+  properties: {
+    role: { type: 'string', minLength: 1, maxLength: 64 },
+    content: { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'object' } }] },
+    timestamp: { type: ['string', 'number'] }
+  }
+}
 
 /**
  * Register Indelible memory capabilities with a ClawSats CapabilityRegistry
@@ -13,89 +46,303 @@ import { PRICES, CAPABILITY_TAGS, DEFAULT_INDELIBLE_URL } from './constants.js'
  * @param {object} config
  * @param {string} config.indelibleUrl - Indelible server URL (default: https://indelible.one)
  * @param {string} config.operatorAddress - BSV address of the operator running this node
+ * @param {object} [config.authClient] - createAuthClient() result — BRC-31 authenticates every Indelible request
+ * @param {string} [config.identityWif] - Operator identity private key (WIF), alternative to authClient.
+ *   Also signs export_memory archives and call receipts
+ * @param {boolean} [config.legacyAuth=false] - Use the spoofable X-Operator-Address header instead of BRC-31
+ * @param {object} [config.backend] - Storage backend (default: HttpBackend against indelibleUrl)
+ * @param {object} [config.pricing] - createPricing() model, or its config (default: flat PRICES)
+ * @param {string[]} [config.capabilities] - Capabilities to register (default: every one whose requirements are met —
+ *   verify_memory needs chainSource and a backend that supports verification, export_memory needs identityWif)
+ * @param {object} [config.allowedCallers] - Operator allow-list: { [agentAddress]: identityKey[] } — callers that may
+ *   use an agent's memory besides its owner (the identity key whose address it is)
+ * @param {object} [config.chainSource] - { getTransaction(txId) } for verify_memory, e.g. HttpChainSource.
+ *   verify_memory also needs a backend with supportsVerify — the Indelible server's commitments can't be checked yet
+ * @param {string} [config.identityCertificate] - Operator BRC-52 certificate embedded in exported archives
+ * @param {number} [config.maxPayloadBytes=1000000] - Largest accepted params (serialized JSON)
+ * @param {number} [config.maxMessages=1000] - Most messages accepted by one save_context call
+ * @param {object|false} [config.rateLimit] - { limit, windowMs } per caller (default 60 calls/minute),
+ *   a createRateLimiter() result to share one budget across registrations, or false to disable.
+ *   Callers are keyed by the handler context's identityKey (unauthenticated calls are rejected first). Pass the
+ *   returned rateLimit to the payment gate so paid calls are limited before they are charged
+ * @param {boolean} [config.receipts] - Attach a signed receipt to every result (default: on when identityWif is set).
+ *   Handlers read the payment from their context: handler(params, { identityKey, payment: req.payment })
+ * @returns {object} { pricing, capabilities, rateLimit } — hand pricing and rateLimit to createIndeliblePaymentMiddleware
+ *   so both quote the same price and share one limit
  */
 export function registerIndelibleCapabilities(registry, config) {
   const {
     indelibleUrl = DEFAULT_INDELIBLE_URL,
-    operatorAddress
+    operatorAddress,
+    authClient,
+    identityWif,
+    legacyAuth = false,
+    chainSource = null,
+    allowedCallers = {},
+    identityCertificate = null,
+    maxPayloadBytes = 1000000,
+    maxMessages = 1000,
+    rateLimit = {},
+    receipts = !!identityWif
   } = config
 
   if (!operatorAddress) throw new Error('operatorAddress required')
+  if (receipts && !identityWif) throw new Error('identityWif required to sign receipts')
 
-  // save_context — 15 sats
-  // Agent sends messages + summary, gets txId back
-  registry.register({
-    name: 'save_context',
-    description: 'Save agent memory to BSV blockchain via Indelible SPV bridge. Supports delta saves, session chaining, and AES-256-GCM encrypted storage. Your data survives crashes, migrations, and host death.',
-    pricePerCall: PRICES.save_context,
-    tags: CAPABILITY_TAGS.save,
-    handler: async (params) => {
-      const { messages, summary, agentAddress, agentId } = params
-
-      if (!messages || !Array.isArray(messages) || messages.length === 0) {
-        throw new Error('messages array required')
-      }
-      if (!agentAddress) {
-        throw new Error('agentAddress required')
-      }
+  const backend = config.backend || new HttpBackend({ indelibleUrl, operatorAddress, authClient, identityWif, legacyAuth })
 
-      const response = await fetch(`${indelibleUrl}/api/agents/save`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Operator-Address': operatorAddress
-        },
-        body: JSON.stringify({
+  const requirements = {
+    verify_memory: !chainSource ? 'chainSource' : (backend.supportsVerify === true ? null : 'A backend that supports verification'),
+    export_memory: identityWif ? null : 'identityWif'
+  }
+
+  const selected = config.capabilities || CAPABILITY_NAMES.filter(name => !requirements[name])
+  for (const name of selected) {
+    if (!CAPABILITY_NAMES.includes(name)) throw new Error(`Unknown capability: ${name}`)
+    if (requirements[name]) throw new Error(`${requirements[name]} required for ${name}`)
+  }
+
+  const pricing = config.pricing && typeof config.pricing.quote === 'function'
+    ? config.pricing
+    : createPricing(config.pricing)
+
+  const limiter = rateLimit === false
+    ? null
+    : (typeof rateLimit.check === 'function' ? rateLimit : createRateLimiter(rateLimit))
+
+  const bridges = new Map()
+  const bridgeFor = (agentAddress) => {
+    let bridge = bridges.get(agentAddress)
+    if (!bridge) {
+      bridge = new IndelibleMemoryBridge({
+        operatorAddress,
+        agentAddress,
+        backend,
+        identityWif,
+        chainSource,
+        identityCertificate,
+        clientDelta: false
+      })
+      bridges.set(agentAddress, bridge)
+      if (bridges.size > MAX_CACHED_BRIDGES) bridges.delete(bridges.keys().next().value)
+    }
+    return bridge
+  }
+
+  const definitions = {
+    // save_context — 15 sats unless priced otherwise
+    // Agent sends messages + summary, gets txId back
+    save_context: {
+      description: 'Save agent memory to BSV blockchain via Indelible SPV bridge. Supports delta saves, session chaining, and AES-256-GCM encrypted storage. Your data survives crashes, migrations, and host death.',
+      tags: CAPABILITY_TAGS.save,
+      inputSchema: {
+        type: 'object',
+        required: ['agentAddress', 'messages'],
+        properties: {
+          agentAddress: AGENT_ADDRESS,
+          agentId: { type: 'string', maxLength: 128 },
+          summary: { type: 'string', maxLength: 2000 },
+          messages: { type: 'array', minItems: 1, maxItems: maxMessages, items: MESSAGE }
+        }
+      },
+      handler: async (params) => {
+        const { messages, summary, agentAddress, agentId } = params
+
+        return backend.save({
           messages,
           summary: summary || `Agent ${agentId || agentAddress} session`,
           agentAddress,
           agentId: agentId || agentAddress,
           operatorAddress
         })
-      })
-
-      if (!response.ok) {
-        const err = await response.text()
-        throw new Error(`Save failed (${response.status}): ${err}`)
       }
+    },
 
-      return response.json()
-    }
-  })
-
-  // load_context — 10 sats
-  // Agent sends its address, gets restored context back
-  registry.register({
-    name: 'load_context',
-    description: 'Load agent memory from BSV blockchain via Indelible. Smart restore with tail-heavy priority — recent messages in full, older ones summarized. Merges delta saves automatically.',
-    pricePerCall: PRICES.load_context,
-    tags: CAPABILITY_TAGS.load,
-    handler: async (params) => {
-      const { agentAddress, numSessions = 3 } = params
-
-      if (!agentAddress) {
-        throw new Error('agentAddress required')
-      }
+    // load_context — 10 sats unless priced otherwise
+    // Agent sends its address, gets restored context back
+    load_context: {
+      description: 'Load agent memory from BSV blockchain via Indelible. Smart restore with tail-heavy priority — recent messages in full, older ones summarized. Merges delta saves automatically.',
+      tags: CAPABILITY_TAGS.load,
+      inputSchema: {
+        type: 'object',
+        required: ['agentAddress'],
+        properties: {
+          agentAddress: AGENT_ADDRESS,
+          numSessions: { type: 'integer', minimum: 1, maximum: 100 }
+        }
+      },
+      handler: async (params) => {
+        const { agentAddress, numSessions = DEFAULT_NUM_SESSIONS } = params
 
-      const response = await fetch(`${indelibleUrl}/api/agents/load`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Operator-Address': operatorAddress
-        },
-        body: JSON.stringify({
+        return backend.load({
           agentAddress,
           numSessions,
           operatorAddress
         })
-      })
+      }
+    },
+
+    // list_sessions — 2 sats per page
+    // Agent pages through its session history (metadata only)
+    list_sessions: {
+      description: 'Page through an agent\'s saved memory sessions on BSV — summaries, timestamps and txIds, filtered by date range or summary text.',
+      tags: CAPABILITY_TAGS.list,
+      inputSchema: {
+        type: 'object',
+        required: ['agentAddress'],
+        properties: {
+          agentAddress: AGENT_ADDRESS,
+          limit: { type: 'integer', minimum: 1, maximum: 500 },
+          cursor: { type: 'string', maxLength: 512 },
+          order: { type: 'string', enum: ['asc', 'desc'] },
+          since: TIMESTAMP,
+          until: TIMESTAMP,
+          query: { type: 'string', maxLength: 500 }
+        }
+      },
+      handler: async (params) => {
+        const { agentAddress, limit = 50, cursor, order, since, until, query } = params
+
+        return bridgeFor(agentAddress).listSessions({ limit, cursor, order, since, until, query })
+      }
+    },
+
+    // search_memory — 5 sats
+    // Agent asks a question, gets the most relevant past messages back
+    search_memory: {
+      description: 'Search an agent\'s BSV memory for the past messages most relevant to a query, ranked across every saved session.',
+      tags: CAPABILITY_TAGS.search,
+      inputSchema: {
+        type: 'object',
+        required: ['agentAddress', 'query'],
+        properties: {
+          agentAddress: AGENT_ADDRESS,
+          query: { type: 'string', minLength: 1, maxLength: 1000 },
+          topK: { type: 'integer', minimum: 1, maximum: 50 },
+          sessions: {
+            anyOf: [
+              { type: 'integer', minimum: 1 },
+              { type: 'array', maxItems: 1000, items: { type: 'string', maxLength: 128 } }
+            ]
+          }
+        }
+      },
+      handler: async (params) => {
+        const { agentAddress, query, topK = 5, sessions } = params
 
-      if (!response.ok) {
-        const err = await response.text()
-        throw new Error(`Load failed (${response.status}): ${err}`)
+        return { results: await bridgeFor(agentAddress).search(query, { topK, sessions }) }
       }
+    },
 
-      return response.json()
+    // verify_memory — 5 sats
+    // Agent checks its sessions against their on-chain commitments
+    verify_memory: {
+      description: 'Verify an agent\'s memory against the BSV blockchain — every session\'s content hash, transactions and chain links, or a single session by id or txId.',
+      tags: CAPABILITY_TAGS.verify,
+      inputSchema: {
+        type: 'object',
+        required: ['agentAddress'],
+        properties: {
+          agentAddress: AGENT_ADDRESS,
+          target: { type: 'string', minLength: 1, maxLength: 128 }
+        }
+      },
+      handler: async (params) => {
+        const { agentAddress, target = null } = params
+
+        return bridgeFor(agentAddress).verify(target)
+      }
+    },
+
+    // export_memory — 25 sats
+    // Agent gets a signed archive of its memory for backup or migration
+    export_memory: {
+      description: 'Export an agent\'s memory as a signed, self-describing archive — portable to a new host or operator, verifiable against the original BSV transactions.',
+      tags: CAPABILITY_TAGS.export,
+      inputSchema: {
+        type: 'object',
+        required: ['agentAddress'],
+        properties: {
+          agentAddress: AGENT_ADDRESS,
+          since: TIMESTAMP,
+          until: TIMESTAMP
+        }
+      },
+      handler: async (params) => {
+        const { agentAddress, since = null, until = null } = params
+
+        const archive = await bridgeFor(agentAddress).exportArchive({ since, until })
+        return { archive, format: 'jsonl' }
+      }
+    }
+  }
+
+  // Authentication, rate limit, size limit, schema, ownership — cheapest rejection first
+  const guard = (name, definition) => async (params, context = {}) => {
+    const caller = (context && context.identityKey) || null
+    if (!caller) {
+      throw new CapabilityError('ERR_UNAUTHENTICATED', `${name} needs an authenticated caller (context.identityKey)`)
+    }
+
+    const counted = context.payment && context.payment.rateCounted
+    if (limiter && !counted) {
+      const { allowed, retryAfterMs } = limiter.check(caller)
+      if (!allowed) {
+        throw new CapabilityError('ERR_RATE_LIMITED', `Rate limit exceeded for ${name} — retry in ${retryAfterMs}ms`, { retryAfterMs })
+      }
+    }
+
+    const bytes = Buffer.byteLength(JSON.stringify(params ?? null))
+    if (bytes > maxPayloadBytes) {
+      throw new CapabilityError('ERR_PAYLOAD_TOO_LARGE', `${name} params are ${bytes} bytes, limit is ${maxPayloadBytes}`, { bytes, maxPayloadBytes })
     }
-  })
+
+    const errors = validateSchema(definition.inputSchema, params)
+    if (errors.length) {
+      throw new CapabilityError('ERR_INVALID_PARAMS', `Invalid ${name} params: ${errors[0].path} ${errors[0].message}`, { errors })
+    }
+
+    const { agentAddress } = params
+    const allowed = allowedCallers[agentAddress]
+    if (!ownsAddress(caller, agentAddress) && !(Array.isArray(allowed) && allowed.includes(caller))) {
+      throw new CapabilityError('ERR_FORBIDDEN', `${caller} may not use the memory of ${agentAddress}`, { agentAddress })
+    }
+
+    const result = await definition.handler(params)
+    if (!receipts) return result
+
+    const receipt = createReceipt({
+      signingWif: identityWif,
+      capability: name,
+      request: params,
+      response: result,
+      payment: context && context.payment,
+      caller
+    })
+    return { ...result, receipt }
+  }
+
+  for (const name of selected) {
+    registry.register({
+      name,
+      ...definitions[name],
+      handler: guard(name, definitions[name]),
+      pricePerCall: pricing.basePrice(name),
+      quote: (params, context) => pricing.quote(name, params, context)
+    })
+  }
+
+  return { pricing, capabilities: selected, rateLimit: limiter }
+}
+
+/**
+ * Internal: whether an identity key (hex) is the key behind an address
+ */
+function ownsAddress(identityKey, address) {
+  try {
+    const key = PublicKey.fromString(identityKey)
+    return key.toAddress() === address || key.toAddress('testnet') === address
+  } catch {
+    return false
+  }
 }
@@ -3,16 +3,34 @@
  * Pricing, protocol tags, and configuration defaults
  */
 
+import { PrivateKey } from '@bsv/sdk'
+
 export const PRICES = {
   save_context: 15,   // sats paid to operator per save
   load_context: 10,   // sats paid to operator per load
+  list_sessions: 2,   // sats per page of session history
+  search_memory: 5,   // sats per memory search
+  verify_memory: 5,   // sats per on-chain verification
+  export_memory: 25,  // sats per signed archive export
   protocol_fee: 2     // sats ClawSats protocol fee per call
 }
 
+// Sessions load_context restores when the caller doesn't say
+export const DEFAULT_NUM_SESSIONS = 3
+
 export const PROTOCOL_TAG = 'indelible.agent'
 export const DEFAULT_INDELIBLE_URL = 'https://indelible.one'
 
 export const CAPABILITY_TAGS = {
   save: ['memory', 'persistence', 'blockchain', 'indelible'],
-  load: ['memory', 'recall', 'blockchain', 'indelible']
+  load: ['memory', 'recall', 'blockchain', 'indelible'],
+  list: ['memory', 'history', 'indelible'],
+  search: ['memory', 'search', 'recall', 'indelible'],
+  verify: ['memory', 'integrity', 'blockchain', 'indelible'],
+  export: ['memory', 'backup', 'migration', 'indelible']
 }
+
+// BRC-42 "anyone" counterparty (private key 1) — a derivation against it can be
+// reproduced by anyone who knows the public key, but only spent by its owner.
+// Used for fee outputs (fees.js) and namespace stream addresses (namespaces.js)
+export const ANYONE_KEY = new PrivateKey(1)
@@ -0,0 +1,414 @@
+/**
+ * Prepaid Credit
+ *
+ * A transaction per call is slow and bloats the chain for chatty agents.
+ * With credit, an agent pays once into a balance tied to its identity key
+ * and later calls are debited from it:
+ *
+ * 1. Top-up: a normal BRC-105 payment to a top-up route, credited to the
+ *    payer's identity key (the protocol fee is paid here, once)
+ * 2. Call: the payment gate answers 402 as usual; instead of a transaction
+ *    the agent signs the challenge prefix with its identity key (BRC-77)
+ *    and retries with x-bsv-credit — the gate debits the quoted price
+ * 3. Balance and refund: requests signed the same way
+ *
+ * The challenge prefix is the replay protection: it is bound to the route,
+ * body and identity key it was issued for and can be redeemed once. Signed
+ * balance and refund requests are claimed in a nonce store (see nonces.js)
+ * until they age out, so each is accepted once — by any gate instance
+ * sharing that store.
+ *
+ * Store interface (all async):
+ *   balance(identityKey) → sats
+ *   credit(identityKey, sats) → new balance
+ *   debit(identityKey, sats) → new balance, or null if the balance is short (atomic)
+ *   creditPayment(identityKey, sats, txid) → new balance, or null if txid was already credited (atomic)
+ *
+ * MemoryCreditStore, FileCreditStore (a JSON file) and RedisCreditStore
+ * (Redis 2.6+) — see stores.js for choosing one.
+ */
+
+import fs from 'fs'
+import { writeFileAtomic, redisCommand } from './stores.js'
+import { MemoryNonceStore } from './nonces.js'
+import { signAction, verifyAction } from './signing.js'
+
+const CREDIT_ACTIONS = {
+  debit: 'credit_debit',
+  balance: 'credit_balance',
+  refund: 'credit_refund'
+}
+
+// Redis: debit only if the balance covers it, in one step
+const REDIS_DEBIT_SCRIPT = `
+local balance = tonumber(redis.call('GET', KEYS[1]) or '0')
+if balance < tonumber(ARGV[1]) then return -1 end
+return redis.call('DECRBY', KEYS[1], ARGV[1])
+`
+
+// Redis: credit a top-up only if its txid hasn't been credited before, in one step
+const REDIS_CREDIT_PAYMENT_SCRIPT = `
+if not redis.call('SET', KEYS[2], '1', 'NX') then return -1 end
+return redis.call('INCRBY', KEYS[1], ARGV[1])
+`
+
+export class MemoryCreditStore {
+  constructor() {
+    this.balances = new Map()  // identityKey → sats
+    this.credited = new Set()  // txids of credited top-ups
+  }
+
+  async balance(identityKey) {
+    return this.balances.get(identityKey) || 0
+  }
+
+  async credit(identityKey, sats) {
+    const balance = (this.balances.get(identityKey) || 0) + sats
+    this.balances.set(identityKey, balance)
+    return balance
+  }
+
+  async debit(identityKey, sats) {
+    const current = this.balances.get(identityKey) || 0
+    if (current < sats) return null
+    const balance = current - sats
+    if (balance === 0) this.balances.delete(identityKey)
+    else this.balances.set(identityKey, balance)
+    return balance
+  }
+
+  async creditPayment(identityKey, sats, txid) {
+    if (this.credited.has(txid)) return null
+    this.credited.add(txid)
+    return this.credit(identityKey, sats)
+  }
+}
+
+export class FileCreditStore extends MemoryCreditStore {
+  /**
+   * Balances and credited txids persisted to a JSON file — one process per file
+   *
+   * @param {object} config
+   * @param {string} config.path - JSON file
+   */
+  constructor(config) {
+    if (!config || !config.path) throw new Error('path required')
+    super()
+    this.path = config.path
+
+    // Unlike nonces, balances are money — a corrupt file is an error, not a reset
+    if (fs.existsSync(this.path)) {
+      const saved = JSON.parse(fs.readFileSync(this.path, 'utf8'))
+      this.balances = new Map(Object.entries(saved.balances))
+      this.credited = new Set(saved.credited)
+    }
+  }
+
+  async credit(identityKey, sats) {
+    const balance = await super.credit(identityKey, sats)
+    this._persist()
+    return balance
+  }
+
+  async debit(identityKey, sats) {
+    const balance = await super.debit(identityKey, sats)
+    if (balance !== null) this._persist()
+    return balance
+  }
+
+  _persist() {
+    writeFileAtomic(this.path, JSON.stringify({ balances: Object.fromEntries(this.balances), credited: [...this.credited] }))
+  }
+}
+
+export class RedisCreditStore {
+  /**
+   * Balances in Redis — shared by every gate instance
+   * Debits and top-ups run as Lua scripts, so concurrent calls can't overdraw
+   * and a transaction can't be credited twice.
+   *
+   * @param {object} config
+   * @param {object} config.client - node-redis (sendCommand) or ioredis (call) client
+   * @param {string} [config.keyPrefix='indelible:credit:'] - Key namespace
+   */
+  constructor(config) {
+    if (!config || !config.client) throw new Error('client required')
+    this.client = config.client
+    this.keyPrefix = config.keyPrefix || 'indelible:credit:'
+  }
+
+  async balance(identityKey) {
+    return Number(await redisCommand(this.client, ['GET', this.keyPrefix + identityKey])) || 0
+  }
+
+  async credit(identityKey, sats) {
+    return Number(await redisCommand(this.client, ['INCRBY', this.keyPrefix + identityKey, String(sats)]))
+  }
+
+  async debit(identityKey, sats) {
+    const balance = Number(await redisCommand(this.client, ['EVAL', REDIS_DEBIT_SCRIPT, '1', this.keyPrefix + identityKey, String(sats)]))
+    return balance < 0 ? null : balance
+  }
+
+  async creditPayment(identityKey, sats, txid) {
+    const balance = Number(await redisCommand(this.client, [
+      'EVAL', REDIS_CREDIT_PAYMENT_SCRIPT, '2', this.keyPrefix + identityKey, this.keyPrefix + 'tx:' + txid, String(sats)
+    ]))
+    return balance < 0 ? null : balance
+  }
+}
+
+/**
+ * Create prepaid credit accounts
+ *
+ * Pass the result as the payment gate's `credits` option, and serve its
+ * topUp, balance and refund endpoints. Endpoints take the gate's request
+ * shape ({ method, url, headers, body, auth }) — an Express req qualifies —
+ * and return { status, body } to send as JSON.
+ *
+ * @param {object} [config]
+ * @param {object} [config.store] - Credit store (default: MemoryCreditStore)
+ * @param {number} [config.minTopUp=100] - Smallest top-up in sats
+ * @param {number} [config.maxTopUp=1000000] - Largest top-up in sats
+ * @param {number} [config.maxBalance=10000000] - Largest balance a top-up may aim for
+ * @param {number} [config.maxSignatureAgeMs=300000] - How old a signed balance or refund request may be
+ * @param {object} [config.nonceStore] - Where used signatures are claimed until they age out: MemoryNonceStore
+ *   (default), FileNonceStore or RedisNonceStore — pass the gate's store so every instance and restart sees them
+ * @param {function} [config.payRefund] - async ({ identityKey, satoshis }) => { txid } — sends refunds;
+ *   without it the refund endpoint is disabled
+ * @param {object} [config.ledger] - createRevenueLedger() — records refunds
+ * @returns {object} { store, balanceOf, debit, topUpPrice, topUp, balance, refund }
+ */
+export function createCreditAccounts(config = {}) {
+  const {
+    store = new MemoryCreditStore(),
+    minTopUp = 100,
+    maxTopUp = 1000000,
+    maxBalance = 10000000,
+    maxSignatureAgeMs = 300000,
+    nonceStore = new MemoryNonceStore(),
+    payRefund = null,
+    ledger = null
+  } = config
+
+  if (typeof nonceStore.claim !== 'function') throw new Error('nonceStore must implement claim(key, ttlMs)')
+
+  // Check a signed balance or refund request; the signer is the account.
+  // Its signature is claimed for as long as the timestamp would be accepted
+  const authenticate = async (req, action, payload) => {
+    const denied = (error) => ({ status: 401, error })
+    const identityKey = identityKeyOf(req)
+    if (!identityKey) return denied('x-bsv-identity-key required')
+
+    let signed
+    try {
+      signed = JSON.parse(req.headers['x-bsv-credit'] || '')
+    } catch {
+      return denied('x-bsv-credit header required: { timestamp, signature }')
+    }
+    if (!signed || typeof signed.signature !== 'string' || typeof signed.timestamp !== 'string') {
+      return denied('x-bsv-credit header required: { timestamp, signature }')
+    }
+
+    const age = Date.now() - new Date(signed.timestamp).getTime()
+    if (!(age >= -60000 && age <= maxSignatureAgeMs)) return denied('Signed request is too old or from the future')
+
+    if (!signatureValid(signed, action, payload, identityKey)) return denied(`Request is not signed by ${identityKey}`)
+
+    let fresh
+    try {
+      fresh = await nonceStore.claim(`credit-sig:${signed.signature}`, maxSignatureAgeMs + 60000)
+    } catch (err) {
+      return { status: 503, error: `Credit signature store unavailable: ${err.message}` }
+    }
+    if (!fresh) return denied('Signed request was already used')
+
+    return { identityKey }
+  }
+
+  return {
+    store,
+
+    /**
+     * @param {string} identityKey
+     * @returns {Promise<number>} Balance in sats
+     */
+    balanceOf(identityKey) {
+      return store.balance(identityKey)
+    },
+
+    /**
+     * Debit a balance (the payment gate calls this)
+     * @param {string} identityKey
+     * @param {number} sats
+     * @returns {Promise<number|null>} New balance, or null if the balance is short
+     */
+    debit(identityKey, sats) {
+      return store.debit(identityKey, sats)
+    },
+
+    /**
+     * Price a top-up request — the gate's calculatePrice on the top-up route
+     * The caller names the amount: body { satoshis }.
+     *
+     * @param {object} req
+     * @returns {Promise<number>} Sats to pay
+     */
+    async topUpPrice(req) {
+      const sats = req.body && req.body.satoshis
+      if (!Number.isInteger(sats) || sats < minTopUp || sats > maxTopUp) {
+        throw new Error(`Top-up must be a whole number of sats between ${minTopUp} and ${maxTopUp}`)
+      }
+      const identityKey = identityKeyOf(req)
+      if (!identityKey) throw new Error('x-bsv-identity-key required to top up')
+      if (await store.balance(identityKey) + sats > maxBalance) {
+        throw new Error(`Top-up would take the balance over ${maxBalance} sats`)
+      }
+      return sats
+    },
+
+    /**
+     * Credit a paid top-up — the handler behind the gate on the top-up route
+     * Only payments the gate SPV-verified (BEEF) or internalized into the
+     * operator wallet count, and each transaction is credited once.
+     *
+     * @param {object} req - Request with the gate's payment attached (req.payment)
+     * @returns {Promise<object>} { status, body: { credited, balance, txid } | { error } }
+     */
+    async topUp(req) {
+      const payment = req.payment
+      if (!payment || !payment.accepted || !payment.txid) {
+        return { status: 402, body: { error: 'Top-ups must be paid with a transaction' } }
+      }
+      if (payment.spv !== true && payment.internalized !== true) {
+        return { status: 402, body: { error: 'Top-ups must be SPV-verified (send BEEF) or internalized by the operator wallet' } }
+      }
+      const identityKey = identityKeyOf(req)
+      if (!identityKey) return { status: 400, body: { error: 'x-bsv-identity-key required' } }
+
+      // All of it — an overpayment is the caller's credit too
+      const balance = await store.creditPayment(identityKey, payment.satoshisPaid, payment.txid)
+      if (balance === null) return { status: 409, body: { error: `Transaction ${payment.txid} was already credited` } }
+      return { status: 200, body: { credited: payment.satoshisPaid, balance, txid: payment.txid } }
+    },
+
+    /**
+     * Balance endpoint — signed request (signCreditRequest action 'balance')
+     * @param {object} req
+     * @returns {Promise<object>} { status, body: { identityKey, balance } | { error } }
+     */
+    async balance(req) {
+      const auth = await authenticate(req, CREDIT_ACTIONS.balance, {})
+      if (auth.error) return { status: auth.status, body: { error: auth.error } }
+      return { status: 200, body: { identityKey: auth.identityKey, balance: await store.balance(auth.identityKey) } }
+    },
+
+    /**
+     * Refund endpoint — signed request (signCreditRequest action 'refund')
+     * body { satoshis } refunds part of the balance; without it, all of it.
+     *
+     * @param {object} req
+     * @returns {Promise<object>} { status, body: { refunded, balance, txid } | { error } }
+     */
+    async refund(req) {
+      if (!payRefund) return { status: 501, body: { error: 'Refunds are not enabled' } }
+
+      const requested = req.body && req.body.satoshis !== undefined ? req.body.satoshis : null
+      if (requested !== null && (!Number.isInteger(requested) || requested <= 0)) {
+        return { status: 400, body: { error: 'satoshis must be a positive integer' } }
+      }
+
+      const auth = await authenticate(req, CREDIT_ACTIONS.refund, { satoshis: requested })
+      if (auth.error) return { status: auth.status, body: { error: auth.error } }
+      const { identityKey } = auth
+
+      const satoshis = requested ?? await store.balance(identityKey)
+      if (satoshis === 0) return { status: 400, body: { error: 'Nothing to refund' } }
+
+      const balance = await store.debit(identityKey, satoshis)
+      if (balance === null) {
+        return { status: 400, body: { error: `Insufficient credit: ${await store.balance(identityKey)} sats available` } }
+      }
+
+      let sent
+      try {
+        sent = await payRefund({ identityKey, satoshis })
+      } catch (err) {
+        await store.credit(identityKey, satoshis)
+        return { status: 502, body: { error: `Refund failed: ${err.message}` } }
+      }
+
+      const txid = (sent && sent.txid) || null
+      if (ledger && txid) {
+        await ledger.recordRefund({ txid, satoshis, identityKey, reason: 'prepaid credit refund' })
+      }
+      return { status: 200, body: { refunded: satoshis, balance, txid } }
+    }
+  }
+}
+
+/**
+ * Sign a credit request (agent side)
+ *
+ * @param {object} config
+ * @param {string} config.identityWif - Agent identity private key (WIF)
+ * @param {string} config.action - 'debit' (pay a 402 from credit), 'balance' or 'refund'
+ * @param {string} [config.derivationPrefix] - For 'debit': the prefix from the 402 challenge
+ * @param {number} [config.satoshis] - For 'refund': amount to refund (omit for the whole balance)
+ * @returns {object} Headers to add: { 'x-bsv-identity-key', 'x-bsv-credit' } — for a refund, send
+ *   { satoshis } in the body too
+ */
+export function signCreditRequest(config) {
+  const { identityWif, action, derivationPrefix = null, satoshis = null } = config
+
+  if (!CREDIT_ACTIONS[action]) throw new Error(`Unknown credit action: ${action}`)
+  if (action === 'debit' && !derivationPrefix) throw new Error('derivationPrefix required')
+
+  const payload = action === 'debit' ? { derivationPrefix } : action === 'refund' ? { satoshis } : {}
+  const signed = signAction({ privateKeyWif: identityWif, action: CREDIT_ACTIONS[action], payload })
+
+  return {
+    'x-bsv-identity-key': signed.publicKey,
+    'x-bsv-credit': JSON.stringify({
+      ...(action === 'debit' ? { derivationPrefix } : {}),
+      timestamp: signed.timestamp,
+      signature: signed.signature
+    })
+  }
+}
+
+/**
+ * Verify a signed debit of a challenge (the payment gate calls this)
+ *
+ * @param {object} credit - Parsed x-bsv-credit header: { derivationPrefix, timestamp, signature }
+ * @param {string} identityKey - Identity key the challenge was issued to
+ * @returns {boolean}
+ */
+export function verifyCreditDebit(credit, identityKey) {
+  if (!credit || typeof credit.signature !== 'string' || typeof credit.timestamp !== 'string') return false
+  return signatureValid(credit, CREDIT_ACTIONS.debit, { derivationPrefix: credit.derivationPrefix }, identityKey)
+}
+
+/**
+ * Internal: BRC-77 check of a signed credit request; malformed signatures are invalid
+ */
+function signatureValid(signed, action, payload, identityKey) {
+  try {
+    return verifyAction({
+      signature: signed.signature,
+      action,
+      timestamp: signed.timestamp,
+      payload,
+      expectedPublicKey: identityKey
+    }).valid
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Internal: the caller's identity key, as the payment gate binds it
+ */
+function identityKeyOf(req) {
+  return (req.auth && req.auth.identityKey) || (req.headers && req.headers['x-bsv-identity-key']) || null
+}
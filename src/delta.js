@@ -0,0 +1,130 @@
+/**
+ * Client-Side Delta Tracking
+ *
+ * Remembers, per memory stream, how much of the conversation has already
+ * been committed, so save() only uploads the new tail instead of the
+ * whole messages array.
+ *
+ * State per stream: { count, hash, sessionId, txId, updatedAt }, where
+ * hash chains every committed message:
+ *
+ *   hash_i = SHA-256( hash_{i-1} + SHA-256(role, content of message i) )
+ *
+ * A save is a delta only if its first `count` messages hash to `hash` —
+ * an edited or truncated conversation falls back to a full save.
+ * State lives in memory, and in a JSON file when a path is given.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+
+export class DeltaTracker {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.path] - JSON file to persist state across restarts
+   */
+  constructor(config = {}) {
+    this.path = config.path || null
+    this.streams = {}
+
+    if (this.path && fs.existsSync(this.path)) {
+      try {
+        this.streams = JSON.parse(fs.readFileSync(this.path, 'utf8'))
+      } catch {
+        // Corrupt state only costs one full save per stream
+        this.streams = {}
+      }
+    }
+  }
+
+  /**
+   * SHA-256 of a message's role and content
+   * @param {object} msg
+   * @returns {string}
+   */
+  static hashMessage(msg) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ role: msg.role, content: msg.content }))
+      .digest('hex')
+  }
+
+  /**
+   * Extend a chained hash with more messages
+   * @param {string|null} prevHash - Hash of the prefix (null for none)
+   * @param {object[]} messages
+   * @returns {string}
+   */
+  static chainHash(prevHash, messages) {
+    let hash = prevHash || ''
+    for (const msg of messages) {
+      hash = crypto.createHash('sha256').update(hash + DeltaTracker.hashMessage(msg)).digest('hex')
+    }
+    return hash
+  }
+
+  /**
+   * @param {string} stream - Stream key
+   * @returns {object|null} { count, hash, sessionId, txId, updatedAt }
+   */
+  get(stream) {
+    return this.streams[stream] || null
+  }
+
+  /**
+   * Split a full conversation into the committed prefix and the new tail
+   *
+   * @param {string} stream - Stream key
+   * @param {object[]} messages - The whole conversation
+   * @returns {object} { base, tail } — base is the stream state, or null for a full save
+   */
+  diff(stream, messages) {
+    const base = this.get(stream)
+    if (!base || messages.length < base.count) return { base: null, tail: messages }
+
+    const prefixHash = DeltaTracker.chainHash(null, messages.slice(0, base.count))
+    return prefixHash === base.hash
+      ? { base, tail: messages.slice(base.count) }
+      : { base: null, tail: messages }
+  }
+
+  /**
+   * Record a committed save
+   *
+   * @param {string} stream - Stream key
+   * @param {object} commit
+   * @param {object|null} commit.base - The base the tail was diffed against (null for a full save)
+   * @param {object[]} commit.tail - Messages that were uploaded
+   * @param {object} commit.result - Save result ({ sessionId, txId })
+   * @returns {object} New stream state
+   */
+  record(stream, commit) {
+    const { base, tail, result } = commit
+    const state = {
+      count: (base ? base.count : 0) + tail.length,
+      hash: DeltaTracker.chainHash(base ? base.hash : null, tail),
+      sessionId: (result && result.sessionId) || null,
+      txId: (result && result.txId) || null,
+      updatedAt: new Date().toISOString()
+    }
+
+    this.streams[stream] = state
+    this._persist()
+    return state
+  }
+
+  /**
+   * Forget a stream's state — the next save is a full save
+   * @param {string} stream
+   */
+  reset(stream) {
+    delete this.streams[stream]
+    this._persist()
+  }
+
+  _persist() {
+    if (!this.path) return
+    fs.mkdirSync(path.dirname(this.path), { recursive: true })
+    fs.writeFileSync(this.path, JSON.stringify(this.streams))
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * ClawSats Protocol Fee
+ *
+ * Canonical fee constants (shared by the payment middleware and the paying
+ * client) and the BRC-42 derivation of the fee output's locking script.
+ *
+ * The fee output is derived from the fee identity key with the well-known
+ * "anyone" counterparty (private key 1), using the invoice number
+ *
+ *   2-<FEE_KID>-<derivationPrefix> <FEE_DERIVATION_SUFFIX>
+ *
+ * so a provider can compute — and check — the exact expected script without
+ * holding the treasury key, while only the treasury can spend it.
+ *
+ * Protocol change: this is not how ClawSats wallets derive their fee
+ * outputs. Those are BRC-29 outputs with the payer's identity key as
+ * counterparty, which only the payer and the treasury can reproduce, so a
+ * provider can't check them exactly. A gate with requireProtocolFee only
+ * accepts fees derived here (the payment client in payments.js does), and
+ * the treasury finds them by deriving its child key against ANYONE_KEY's
+ * public key with the same invoice number.
+ */
+
+import { PublicKey, P2PKH } from '@bsv/sdk'
+import { PRICES, ANYONE_KEY } from './constants.js'
+
+/** ClawSats protocol fee constants — canonical values from ClawSats protocol */
+export const FEE_SATS = PRICES.protocol_fee
+export const FEE_KID = 'clawsats-fee-v1'
+export const FEE_DERIVATION_SUFFIX = 'fee'
+export const FEE_IDENTITY_KEY = '0307102dc99293edba7f75bf881712652879c151b454ebf5d8e7a0ba07c4d17364'
+
+/**
+ * Derive the locking script (hex) the protocol fee must be paid to
+ *
+ * @param {object} config
+ * @param {string} config.derivationPrefix - The 402 challenge's x-bsv-payment-derivation-prefix
+ * @param {string} [config.feeIdentityKey] - Fee identity key (default: FEE_IDENTITY_KEY)
+ * @param {string} [config.kid] - Fee key id (default: FEE_KID)
+ * @param {string} [config.derivationSuffix] - Fee derivation suffix (default: FEE_DERIVATION_SUFFIX)
+ * @returns {string} P2PKH locking script hex
+ */
+export function deriveFeeLockingScript(config) {
+  const {
+    derivationPrefix,
+    feeIdentityKey = FEE_IDENTITY_KEY,
+    kid = FEE_KID,
+    derivationSuffix = FEE_DERIVATION_SUFFIX
+  } = config
+
+  if (!derivationPrefix) throw new Error('derivationPrefix required')
+
+  const invoiceNumber = `2-${kid}-${derivationPrefix} ${derivationSuffix}`
+  const child = PublicKey.fromString(feeIdentityKey).deriveChild(ANYONE_KEY, invoiceNumber)
+
+  return new P2PKH().lock(child.toAddress()).toHex()
+}
@@ -0,0 +1,126 @@
+/**
+ * Context Formatters
+ *
+ * Render structured memory sessions (from IndelibleMemoryBridge.loadSessions)
+ * into whatever shape your prompt template expects:
+ *
+ *   toOpenAIMessages  — [{ role, content }] chat array (system/user/assistant/tool)
+ *   toAnthropicMessages — { system, messages } with alternating user/assistant turns
+ *   toTranscript      — plain-text transcript with session headers
+ *
+ * Sessions are expected oldest-first, as loadSessions returns them.
+ */
+
+const CHAT_ROLES = ['system', 'user', 'assistant', 'tool']
+
+/**
+ * Coerce message content to a string
+ * @param {*} content
+ * @returns {string}
+ */
+function contentToText(content) {
+  if (typeof content === 'string') return content
+  if (Array.isArray(content)) {
+    // Content blocks ({ type: 'text', text }) — join the text parts
+    const text = content.filter(b => b && typeof b.text === 'string').map(b => b.text)
+    if (text.length === content.length) return text.join('\n')
+  }
+  return JSON.stringify(content)
+}
+
+/**
+ * Build the one-line header that marks a session boundary
+ * @param {object} session
+ * @returns {string}
+ */
+function sessionHeader(session) {
+  const when = session.createdAt ? ` (${session.createdAt})` : ''
+  const summary = session.summary ? `: ${session.summary}` : ''
+  return `Previous session${when}${summary}`
+}
+
+/**
+ * Render sessions as an OpenAI-style chat array
+ *
+ * @param {object[]} sessions - Sessions from loadSessions (oldest first)
+ * @param {object} [options]
+ * @param {string} [options.systemPrompt] - Optional system message placed first
+ * @param {boolean} [options.includeSummaries=true] - Insert a system message at each session boundary
+ * @returns {object[]} [{ role, content }]
+ */
+export function toOpenAIMessages(sessions, options = {}) {
+  const { systemPrompt = '', includeSummaries = true } = options
+  const out = []
+
+  if (systemPrompt) out.push({ role: 'system', content: systemPrompt })
+
+  for (const session of sessions) {
+    if (includeSummaries) out.push({ role: 'system', content: sessionHeader(session) })
+    for (const msg of session.messages) {
+      const role = CHAT_ROLES.includes(msg.role) ? msg.role : 'user'
+      out.push({ role, content: contentToText(msg.content) })
+    }
+  }
+
+  return out
+}
+
+/**
+ * Render sessions as an Anthropic-style { system, messages } pair
+ *
+ * System messages and session summaries are folded into the system prompt.
+ * Consecutive messages with the same role are merged, and the conversation
+ * always starts with a user turn, as the Messages API requires.
+ *
+ * @param {object[]} sessions - Sessions from loadSessions (oldest first)
+ * @param {object} [options]
+ * @param {string} [options.systemPrompt] - Base system prompt
+ * @param {boolean} [options.includeSummaries=true] - Add session summaries to the system prompt
+ * @returns {object} { system: string, messages: [{ role: 'user'|'assistant', content: string }] }
+ */
+export function toAnthropicMessages(sessions, options = {}) {
+  const { systemPrompt = '', includeSummaries = true } = options
+  const system = systemPrompt ? [systemPrompt] : []
+  const messages = []
+
+  for (const session of sessions) {
+    if (includeSummaries) system.push(sessionHeader(session))
+    for (const msg of session.messages) {
+      const text = contentToText(msg.content)
+      if (msg.role === 'system') {
+        system.push(text)
+        continue
+      }
+
+      const role = msg.role === 'assistant' ? 'assistant' : 'user'
+      const last = messages[messages.length - 1]
+      if (last && last.role === role) {
+        last.content += `\n\n${text}`
+      } else {
+        messages.push({ role, content: text })
+      }
+    }
+  }
+
+  if (messages.length && messages[0].role !== 'user') {
+    messages.unshift({ role: 'user', content: '(restored conversation)' })
+  }
+
+  return { system: system.join('\n\n'), messages }
+}
+
+/**
+ * Render sessions as a plain-text transcript
+ *
+ * @param {object[]} sessions - Sessions from loadSessions (oldest first)
+ * @returns {string} Transcript with one header per session and one line per message
+ */
+export function toTranscript(sessions) {
+  return sessions.map(session => {
+    const lines = [`=== ${sessionHeader(session)} ===`]
+    for (const msg of session.messages) {
+      lines.push(`[${msg.role}] ${contentToText(msg.content)}`)
+    }
+    return lines.join('\n')
+  }).join('\n\n')
+}
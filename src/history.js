@@ -0,0 +1,200 @@
+/**
+ * Session History Inspection
+ *
+ * Paging, filtering and diffing over session listings, for agents with
+ * thousands of sessions and for debugging drift between saves.
+ *
+ * Cursors are opaque strings encoding the (createdAt, sessionId) of the
+ * last session on a page, so pages stay stable while new sessions are
+ * being saved.
+ *
+ * A delta session only stores the messages it added, so the conversation
+ * as of a save is rebuilt by walking prevSessionId back to the last full
+ * save, keeping baseMessageCount messages of each predecessor (a delta can
+ * continue just part of the previous conversation). diffMessages()
+ * compares two such conversations message by message.
+ */
+
+import { Utils } from '@bsv/sdk'
+import { DeltaTracker } from './delta.js'
+
+// Above this many cells the middle section is reported as a block replace instead of an LCS
+const MAX_LCS_CELLS = 1000000
+
+/**
+ * Filter, order and page a session listing
+ *
+ * @param {object[]} sessions - Listed sessions ({ sessionId, createdAt, summary, ... })
+ * @param {object} [options]
+ * @param {string} [options.since] - Only sessions created at or after this ISO timestamp
+ * @param {string} [options.until] - Only sessions created at or before this ISO timestamp
+ * @param {string} [options.query] - Case-insensitive text the summary must contain
+ * @param {string} [options.order='desc'] - 'desc' (newest first) or 'asc'
+ * @param {number} [options.limit] - Page size (default: everything)
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @returns {object} { sessions, nextCursor, total } — total counts matches across all pages
+ */
+export function paginateSessions(sessions, options = {}) {
+  const { since = null, until = null, query = null, order = 'desc', limit = null, cursor = null } = options
+
+  if (order !== 'asc' && order !== 'desc') throw new Error(`Invalid order: ${order}`)
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) throw new Error('limit must be a positive integer')
+
+  const sinceMs = since ? new Date(since).getTime() : -Infinity
+  const untilMs = until ? new Date(until).getTime() : Infinity
+  const needle = query ? String(query).toLowerCase() : null
+  const dir = order === 'asc' ? 1 : -1
+
+  const matches = sessions
+    .filter(s => {
+      const ts = s.createdAt ? new Date(s.createdAt).getTime() : null
+      if (ts !== null && (ts < sinceMs || ts > untilMs)) return false
+      if (needle && !String(s.summary || '').toLowerCase().includes(needle)) return false
+      return true
+    })
+    .sort((a, b) => dir * compareSessions(a, b))
+
+  let start = 0
+  if (cursor) {
+    const after = decodeCursor(cursor)
+    start = matches.findIndex(s => dir * compareSessions(s, after) > 0)
+    if (start === -1) start = matches.length
+  }
+
+  const page = limit ? matches.slice(start, start + limit) : matches.slice(start)
+  const last = page[page.length - 1]
+  const more = start + page.length < matches.length
+
+  return {
+    sessions: page,
+    nextCursor: more && last ? encodeCursor(last) : null,
+    total: matches.length
+  }
+}
+
+/**
+ * Rebuild the full conversation as of a session
+ * Follows prevSessionId through delta saves back to the last full save.
+ *
+ * @param {string} sessionId - Session to rebuild
+ * @param {object[]} sessions - Loaded sessions with messages (any order)
+ * @returns {object[]} Messages, oldest first
+ */
+export function reconstructConversation(sessionId, sessions) {
+  const byId = new Map(sessions.map(s => [s.sessionId, s]))
+  const chain = []
+  const seen = new Set()
+
+  let current = byId.get(sessionId)
+  if (!current) throw new Error(`Session not found: ${sessionId}`)
+
+  while (current && !seen.has(current.sessionId)) {
+    seen.add(current.sessionId)
+    chain.unshift(current)
+    if (current.saveType !== 'delta' || !current.prevSessionId) break
+    current = byId.get(current.prevSessionId)
+  }
+
+  let conversation = []
+  for (const session of chain) {
+    const base = session.saveType === 'delta'
+      ? conversation.slice(0, session.baseMessageCount ?? conversation.length)
+      : []
+    conversation = [...base, ...session.messages]
+  }
+  return conversation
+}
+
+/**
+ * Diff two conversations message by message (role + content)
+ *
+ * @param {object[]} from - Earlier conversation
+ * @param {object[]} to - Later conversation
+ * @returns {object} { added: [{ index, role, content }], removed: [{ index, role, content }], unchanged }
+ *   added indexes are positions in `to`, removed indexes positions in `from`
+ */
+export function diffMessages(from, to) {
+  const a = from.map(DeltaTracker.hashMessage)
+  const b = to.map(DeltaTracker.hashMessage)
+
+  // Trim the common prefix and suffix — usually all that differs is the tail
+  let prefix = 0
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++
+  let suffix = 0
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++
+
+  const aMid = a.slice(prefix, a.length - suffix)
+  const bMid = b.slice(prefix, b.length - suffix)
+  const keptA = new Set()
+  const keptB = new Set()
+
+  if (aMid.length && bMid.length && aMid.length * bMid.length <= MAX_LCS_CELLS) {
+    for (const [i, j] of lcs(aMid, bMid)) {
+      keptA.add(prefix + i)
+      keptB.add(prefix + j)
+    }
+  }
+
+  const entry = (msg, index) => ({ index, role: msg.role, content: msg.content })
+  const added = []
+  const removed = []
+  for (let j = prefix; j < b.length - suffix; j++) if (!keptB.has(j)) added.push(entry(to[j], j))
+  for (let i = prefix; i < a.length - suffix; i++) if (!keptA.has(i)) removed.push(entry(from[i], i))
+
+  return { added, removed, unchanged: to.length - added.length }
+}
+
+/**
+ * Internal: longest common subsequence as index pairs
+ */
+function lcs(a, b) {
+  const rows = a.length + 1
+  const cols = b.length + 1
+  const table = new Uint32Array(rows * cols)
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * cols + j] = a[i] === b[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1])
+    }
+  }
+
+  const pairs = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j])
+      i++
+      j++
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+  return pairs
+}
+
+/**
+ * Internal: chronological order, sessionId as tie-breaker
+ */
+function compareSessions(a, b) {
+  const byTime = String(a.createdAt || '').localeCompare(String(b.createdAt || ''))
+  return byTime || String(a.sessionId || '').localeCompare(String(b.sessionId || ''))
+}
+
+function encodeCursor(session) {
+  return Utils.toBase64(Utils.toArray(JSON.stringify([session.createdAt || '', session.sessionId || '']), 'utf8'))
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, sessionId] = JSON.parse(Utils.toUTF8(Utils.toArray(cursor, 'base64')))
+    return { createdAt, sessionId }
+  } catch {
+    throw new Error('Invalid cursor')
+  }
+}
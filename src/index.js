@@ -21,9 +21,31 @@
  */
 
 // Core
-export { registerIndelibleCapabilities } from './capabilities.js'
+export { registerIndelibleCapabilities, CAPABILITY_NAMES } from './capabilities.js'
 export { IndelibleMemoryBridge } from './bridge.js'
-export { createIndeliblePaymentMiddleware } from './middleware.js'
+export { HttpBackend, MemoryBackend, FileBackend } from './backends.js'
+export { MemoryJournal } from './journal.js'
+export { DeltaTracker } from './delta.js'
+export { paginateSessions, reconstructConversation, diffMessages } from './history.js'
+export { MemoryIndex } from './search.js'
+export { fitToBudget, estimateTokens } from './budget.js'
+export { verifySessions, buildSessionTransactions, MemoryChainSource, HttpChainSource } from './integrity.js'
+export { createArchive, readArchive } from './archive.js'
+export { createRedactionPipeline, regexRedactor, piiRedactors, secretRedactors } from './redaction.js'
+export { namespaceAddress, encryptForMembers, decryptForMember } from './namespaces.js'
+export { createPricing, linearPrice } from './pricing.js'
+export { validateSchema, createRateLimiter, CapabilityError } from './validation.js'
+export { createReceipt, verifyReceipt, attestReceipt, hashPayload } from './receipts.js'
+export { createIndeliblePaymentMiddleware, createPaymentGate } from './middleware.js'
+export { createFastifyPaymentHook, createKoaPaymentMiddleware, createHonoPaymentMiddleware, createNodePaymentHandler } from './adapters.js'
+export { MemoryNonceStore, FileNonceStore, RedisNonceStore } from './nonces.js'
+export { createRevenueLedger, MemoryLedgerStore, FileLedgerStore } from './ledger.js'
+export { createCreditAccounts, signCreditRequest, MemoryCreditStore, FileCreditStore, RedisCreditStore } from './credits.js'
+export { HeadersFileChainTracker, verifyPaymentTransaction } from './spv.js'
+export { createPaymentClient, createSpendLedger, readPaymentChallenge } from './payments.js'
+export { deriveFeeLockingScript } from './fees.js'
+export { toOpenAIMessages, toAnthropicMessages, toTranscript } from './formatters.js'
+export { encryptMessages, decryptMessages, encryptMemoryValue, decryptMemoryValue, deriveMemoryKey } from './memory-crypto.js'
 export { PRICES, PROTOCOL_TAG, DEFAULT_INDELIBLE_URL, CAPABILITY_TAGS } from './constants.js'
 
 // BRC-52 — Agent Identity
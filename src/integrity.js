@@ -0,0 +1,302 @@
+/**
+ * Memory Integrity Verification
+ *
+ * Proves that what load() returns is what was committed on chain.
+ *
+ * Every session is committed as one or more OP_RETURN transactions
+ * (chunked when large). Each output is:
+ *
+ *   OP_FALSE OP_RETURN <PROTOCOL_TAG> <header JSON> <chunk>
+ *
+ * where header is { v, sessionId, prevTxId, part, parts, contentHash } and
+ * the chunks, concatenated in part order, are the session's committed
+ * content: one { role, content } JSON line per message. A delta save only
+ * commits its new messages, and prevTxId links it to the previous session.
+ *
+ * Verification fetches each raw transaction from a pluggable chain source,
+ * checks its txid, reassembles the chunks, recomputes the content hash
+ * against both the header and the loaded messages, and checks the links.
+ *
+ * This is the commitment format of the local backends. The Indelible
+ * server commits sessions its own way: transactions that are found but
+ * carry no commitment in this format are reported as an unsupported
+ * format (verifySessions throws), not as tampering.
+ *
+ * Chain sources implement one method:
+ *
+ *   getTransaction(txId) → raw transaction hex, or null if unknown
+ */
+
+import crypto from 'crypto'
+import fetch from 'node-fetch'
+import { Transaction, LockingScript, Script, OP, Utils } from '@bsv/sdk'
+import { PROTOCOL_TAG } from './constants.js'
+
+const COMMITMENT_VERSION = 1
+const DEFAULT_CHUNK_SIZE = 100000 // bytes of content per transaction
+
+/**
+ * Serialize messages into the committed content (one JSON line per message)
+ * Only role and content are committed — timestamps are server metadata.
+ *
+ * @param {object[]} messages
+ * @returns {string}
+ */
+export function serializeSessionContent(messages) {
+  return messages.map(msg => JSON.stringify({ role: msg.role, content: msg.content })).join('\n')
+}
+
+/**
+ * SHA-256 (hex) of a session's committed content
+ * @param {object[]} messages
+ * @returns {string}
+ */
+export function hashSessionContent(messages) {
+  return crypto.createHash('sha256').update(serializeSessionContent(messages)).digest('hex')
+}
+
+/**
+ * Build the commitment transactions for a session
+ * The transactions carry only the OP_RETURN output — fund and sign them
+ * with a wallet before broadcasting. Useful for direct OP_RETURN backends
+ * and for populating a MemoryChainSource in tests.
+ *
+ * @param {object} session - { sessionId, messages }
+ * @param {object} [options]
+ * @param {string} [options.prevTxId] - Last txId of the previous session (null for the first)
+ * @param {number} [options.chunkSize=100000] - Max content bytes per transaction
+ * @returns {Transaction[]} One transaction per chunk, in part order
+ */
+export function buildSessionTransactions(session, options = {}) {
+  const { prevTxId = null, chunkSize = DEFAULT_CHUNK_SIZE } = options
+  const content = Utils.toArray(serializeSessionContent(session.messages), 'utf8')
+  const contentHash = hashSessionContent(session.messages)
+
+  const chunks = []
+  for (let i = 0; i < content.length; i += chunkSize) chunks.push(content.slice(i, i + chunkSize))
+  if (!chunks.length) chunks.push([])
+
+  return chunks.map((chunk, part) => {
+    const header = {
+      v: COMMITMENT_VERSION,
+      sessionId: session.sessionId,
+      prevTxId,
+      part,
+      parts: chunks.length,
+      contentHash
+    }
+
+    const script = new LockingScript([{ op: OP.OP_FALSE }, { op: OP.OP_RETURN }])
+    script
+      .writeBin(Utils.toArray(PROTOCOL_TAG, 'utf8'))
+      .writeBin(Utils.toArray(JSON.stringify(header), 'utf8'))
+      .writeBin(chunk)
+
+    const tx = new Transaction()
+    tx.addOutput({ lockingScript: script, satoshis: 0 })
+    return tx
+  })
+}
+
+/**
+ * Read the Indelible commitment from a transaction, if it carries one
+ *
+ * @param {Transaction} tx
+ * @returns {object|null} { header, chunk } — chunk as a byte array
+ */
+export function readCommitment(tx) {
+  for (const output of tx.outputs) {
+    const chunks = output.lockingScript.chunks
+    const ret = chunks.findIndex(c => c.op === OP.OP_RETURN)
+    if (ret === -1 || !chunks[ret].data) continue
+
+    // Everything after OP_RETURN is kept as one blob — parse it as pushes
+    let pushes
+    try {
+      pushes = Script.fromBinary(chunks[ret].data).chunks.map(c => c.data || [])
+    } catch {
+      continue
+    }
+    if (pushes.length < 3 || Utils.toUTF8(pushes[0]) !== PROTOCOL_TAG) continue
+
+    try {
+      return { header: JSON.parse(Utils.toUTF8(pushes[1])), chunk: pushes[2] }
+    } catch {
+      return null
+    }
+  }
+  return null
+}
+
+/**
+ * In-memory chain source — for tests and local backends
+ */
+export class MemoryChainSource {
+  constructor() {
+    this.transactions = new Map() // txId → raw hex
+  }
+
+  /**
+   * Store a transaction
+   * @param {Transaction|string} tx - Transaction or raw hex
+   * @returns {string} txId
+   */
+  add(tx) {
+    const hex = typeof tx === 'string' ? tx : tx.toHex()
+    const txId = Transaction.fromHex(hex).id('hex')
+    this.transactions.set(txId, hex)
+    return txId
+  }
+
+  async getTransaction(txId) {
+    return this.transactions.get(txId) || null
+  }
+}
+
+/**
+ * HTTP chain source for any API that serves raw transaction hex
+ * (e.g. WhatsOnChain: https://api.whatsonchain.com/v1/bsv/main/tx/<txid>/hex)
+ */
+export class HttpChainSource {
+  /**
+   * @param {object} config
+   * @param {string} config.baseUrl - API base URL
+   * @param {function} [config.path] - (txId) => path (default: /tx/<txId>/hex)
+   */
+  constructor(config) {
+    if (!config || !config.baseUrl) throw new Error('baseUrl required')
+    this.baseUrl = config.baseUrl.replace(/\/$/, '')
+    this.path = config.path || (txId => `/tx/${txId}/hex`)
+  }
+
+  async getTransaction(txId) {
+    const res = await fetch(`${this.baseUrl}${this.path(txId)}`)
+    if (res.status === 404) return null
+    if (!res.ok) throw new Error(`Chain source failed for ${txId} (${res.status})`)
+    return (await res.text()).trim()
+  }
+}
+
+/**
+ * Verify sessions against the chain
+ *
+ * Sessions must be raw (as stored — ciphertext in end-to-end mode, since
+ * that is what was committed) and ordered oldest first. Chain links are
+ * checked against the preceding session in the array; the first session
+ * is checked against options.previous when given.
+ *
+ * @param {object[]} sessions - [{ sessionId, txIds, prevSessionId, messages }]
+ * @param {object} chainSource - { getTransaction(txId) }
+ * @param {object} [options]
+ * @param {object} [options.previous] - The session before sessions[0], if it wasn't passed in
+ * @throws {Error} If a session's transactions exist but none carries a commitment in this format
+ * @returns {Promise<object[]>} One report per session:
+ *   { sessionId, txIds, valid, contentHash, committedHash,
+ *     checks: { txFound, txIdMatch, chunksComplete, contentHash, chainLink }, errors }
+ */
+export async function verifySessions(sessions, chainSource, options = {}) {
+  if (!chainSource || typeof chainSource.getTransaction !== 'function') {
+    throw new Error('chainSource required (getTransaction(txId))')
+  }
+
+  const reports = []
+  let previous = options.previous || null
+
+  for (const session of sessions) {
+    reports.push(await verifySession(session, previous, chainSource))
+    previous = session
+  }
+
+  return reports
+}
+
+/**
+ * Internal: verify one session against its predecessor
+ */
+async function verifySession(session, previous, chainSource) {
+  const errors = []
+  const checks = { txFound: true, txIdMatch: true, chunksComplete: true, contentHash: true, chainLink: true }
+  const contentHash = hashSessionContent(session.messages || [])
+  const fail = (check, message) => { checks[check] = false; errors.push(message) }
+
+  const parts = []
+  const uncommitted = []
+  for (const txId of session.txIds || []) {
+    const hex = await chainSource.getTransaction(txId)
+    if (!hex) {
+      fail('txFound', `Transaction ${txId} not found`)
+      continue
+    }
+
+    const tx = Transaction.fromHex(hex)
+    if (tx.id('hex') !== txId) {
+      fail('txIdMatch', `Transaction ${txId} hashes to ${tx.id('hex')}`)
+      continue
+    }
+
+    const commitment = readCommitment(tx)
+    if (!commitment) {
+      uncommitted.push(txId)
+      fail('chunksComplete', `Transaction ${txId} carries no ${PROTOCOL_TAG} commitment`)
+      continue
+    }
+    parts.push({ txId, ...commitment })
+  }
+
+  // Genuine transactions, none in this format: committed some other way, so there is nothing to check against
+  if (uncommitted.length && !parts.length && uncommitted.length === session.txIds.length) {
+    throw new Error(`Unsupported commitment format: session ${session.sessionId} (${uncommitted.join(', ')}) carries no ${PROTOCOL_TAG} commitment — only sessions committed by a local backend can be verified`)
+  }
+
+  if (!session.txIds || !session.txIds.length) fail('txFound', 'Session has no txIds')
+
+  // Reassemble the chunks in part order
+  parts.sort((a, b) => a.header.part - b.header.part)
+  const header = parts.length ? parts[0].header : null
+  let committedHash = null
+
+  if (header) {
+    const complete = parts.length === header.parts &&
+      parts.every((p, i) => p.header.part === i && p.header.contentHash === header.contentHash)
+    if (!complete) fail('chunksComplete', `Expected ${header.parts} chunk(s) of one session, found ${parts.length}`)
+
+    if (header.sessionId && session.sessionId && header.sessionId !== session.sessionId) {
+      fail('chainLink', `Committed sessionId ${header.sessionId} does not match ${session.sessionId}`)
+    }
+
+    const content = parts.flatMap(p => p.chunk)
+    committedHash = crypto.createHash('sha256').update(Buffer.from(content)).digest('hex')
+
+    if (committedHash !== header.contentHash) {
+      fail('contentHash', 'Committed chunks do not match the committed content hash')
+    } else if (committedHash !== contentHash) {
+      fail('contentHash', 'Loaded messages do not match the committed content')
+    }
+  } else {
+    checks.contentHash = false
+  }
+
+  // Session chain: both the server metadata and the on-chain header must point at the previous session
+  if (previous) {
+    const prevTxIds = previous.txIds || []
+    const expectedPrevTxId = prevTxIds[prevTxIds.length - 1] || null
+    if ((session.prevSessionId || null) !== previous.sessionId) {
+      fail('chainLink', `prevSessionId ${session.prevSessionId} does not match previous session ${previous.sessionId}`)
+    }
+    if (header && header.prevTxId !== expectedPrevTxId) {
+      fail('chainLink', `Committed prevTxId ${header.prevTxId} does not match previous session's ${expectedPrevTxId}`)
+    }
+  } else if (!session.prevSessionId && header && header.prevTxId !== null) {
+    fail('chainLink', `First session commits prevTxId ${header.prevTxId}`)
+  }
+
+  return {
+    sessionId: session.sessionId,
+    txIds: session.txIds || [],
+    valid: Object.values(checks).every(Boolean),
+    contentHash,
+    committedHash,
+    checks,
+    errors
+  }
+}
@@ -0,0 +1,314 @@
+/**
+ * Write-Ahead Memory Journal
+ *
+ * A durable, file-backed JSONL queue for memory saves. Every save is
+ * appended (and fsync'd) to the journal before it is sent to Indelible,
+ * so an agent crash or a server outage never loses memory that hasn't
+ * been committed yet. Pending entries are replayed on the next flush,
+ * with exponential backoff between failed attempts.
+ *
+ * Journal records (one JSON object per line):
+ *   { op: 'enqueue', id, hash, action, body, queuedAt }
+ *   { op: 'attempt', id, attempts, error, nextAttemptAt }
+ *   { op: 'commit',  id, hash, result, committedAt }
+ *   { op: 'discard', id, hash, action, body, queuedAt, attempts, reason, discardedAt }
+ *
+ * Entries are deduplicated by content hash: enqueueing content that is
+ * already pending or committed returns the existing entry. An entry that
+ * can never succeed would hold up the queue for good, so it can be
+ * discarded — by hand, or after maxAttempts — into a dead-letter list.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+
+/** Committed hashes kept after compaction (for deduplication) */
+const MAX_COMMITTED_HISTORY = 1000
+
+export class MemoryJournal {
+  /**
+   * @param {object} config
+   * @param {string} config.path - Journal file path (JSONL)
+   * @param {number} [config.baseDelayMs=1000] - First retry delay
+   * @param {number} [config.maxDelayMs=300000] - Backoff ceiling (5 minutes)
+   * @param {number} [config.maxAttempts=Infinity] - Discard an entry after this many failed attempts
+   */
+  constructor(config) {
+    if (!config || !config.path) throw new Error('journal path required')
+
+    this.path = config.path
+    this.baseDelayMs = config.baseDelayMs ?? 1000
+    this.maxDelayMs = config.maxDelayMs ?? 5 * 60 * 1000
+    this.maxAttempts = config.maxAttempts ?? Infinity
+
+    this.pendingEntries = new Map() // id → entry
+    this.committed = new Map()      // hash → { id, result, committedAt }
+    this.discardedEntries = new Map() // id → entry + { reason, discardedAt }
+    this.lastError = null
+
+    this._replay()
+  }
+
+  /**
+   * Compute the deduplication hash for a payload
+   *
+   * @param {*} content - Any JSON-serializable value
+   * @returns {string} SHA-256 hex
+   */
+  static hash(content) {
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex')
+  }
+
+  /**
+   * Durably queue a request
+   *
+   * @param {object} entry
+   * @param {string} entry.action - Backend operation to replay (e.g. 'save')
+   * @param {object} entry.body - Request body (as it will be sent)
+   * @param {string} [entry.hash] - Content hash (default: hash of action + body).
+   *   Pass a hash of the plaintext when the body contains non-deterministic ciphertext.
+   * @returns {object} { id, hash, duplicate, committed, result? }
+   */
+  enqueue(entry) {
+    const hash = entry.hash || MemoryJournal.hash({ action: entry.action, body: entry.body })
+
+    const done = this.committed.get(hash)
+    if (done) {
+      return { id: done.id, hash, duplicate: true, committed: true, result: done.result }
+    }
+    for (const pending of this.pendingEntries.values()) {
+      if (pending.hash === hash) {
+        return { id: pending.id, hash, duplicate: true, committed: false }
+      }
+    }
+
+    const record = {
+      op: 'enqueue',
+      id: crypto.randomUUID(),
+      hash,
+      action: entry.action,
+      body: entry.body,
+      queuedAt: new Date().toISOString()
+    }
+    this._append(record)
+    this.pendingEntries.set(record.id, { ...record, attempts: 0, nextAttemptAt: 0 })
+
+    return { id: record.id, hash, duplicate: false, committed: false }
+  }
+
+  /**
+   * Pending entries in queue order
+   * @returns {object[]} [{ id, hash, action, body, queuedAt, attempts, nextAttemptAt }]
+   */
+  pending() {
+    return [...this.pendingEntries.values()]
+  }
+
+  /**
+   * @param {string} id - Entry id
+   * @returns {boolean} Whether the entry is still waiting to be committed
+   */
+  isPending(id) {
+    return this.pendingEntries.has(id)
+  }
+
+  /**
+   * Server result of committed content
+   * @param {string} hash - Content hash (as returned by enqueue)
+   * @returns {object|null}
+   */
+  committedResult(hash) {
+    const done = this.committed.get(hash)
+    return done ? done.result : null
+  }
+
+  /**
+   * Discarded (dead-lettered) entries, oldest first
+   * @returns {object[]} [{ id, hash, action, body, queuedAt, attempts, reason, discardedAt }]
+   */
+  discarded() {
+    return [...this.discardedEntries.values()]
+  }
+
+  /**
+   * Take an entry out of the queue without committing it
+   * It is kept, body and all, in the dead-letter list.
+   *
+   * @param {string} id - Entry id
+   * @param {string} [reason] - Why it was discarded
+   * @returns {object|null} The discarded entry, or null if it isn't pending
+   */
+  discard(id, reason = null) {
+    const entry = this.pendingEntries.get(id)
+    if (!entry) return null
+
+    const record = {
+      op: 'discard',
+      id,
+      hash: entry.hash,
+      action: entry.action,
+      body: entry.body,
+      queuedAt: entry.queuedAt,
+      attempts: entry.attempts,
+      reason,
+      discardedAt: new Date().toISOString()
+    }
+    this._append(record)
+    this.pendingEntries.delete(id)
+    const { op, ...discarded } = record
+    this.discardedEntries.set(id, discarded)
+
+    if (this.pendingEntries.size === 0) this.compact()
+    return discarded
+  }
+
+  /**
+   * Mark an entry as committed to Indelible
+   *
+   * @param {string} id - Entry id
+   * @param {object} result - Server response (txId, sessionId, ...)
+   */
+  markCommitted(id, result) {
+    const entry = this.pendingEntries.get(id)
+    if (!entry) return
+
+    const record = {
+      op: 'commit',
+      id,
+      hash: entry.hash,
+      result,
+      committedAt: new Date().toISOString()
+    }
+    this._append(record)
+    this.pendingEntries.delete(id)
+    this.committed.set(entry.hash, { id, result, committedAt: record.committedAt })
+    this.lastError = null
+
+    if (this.pendingEntries.size === 0) this.compact()
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one (exponential backoff)
+   * The entry is discarded instead once it has failed maxAttempts times.
+   *
+   * @param {string} id - Entry id
+   * @param {Error} err - What went wrong
+   * @returns {number} Delay in ms before the entry is due again (0 once discarded)
+   */
+  markFailed(id, err) {
+    const entry = this.pendingEntries.get(id)
+    if (!entry) return 0
+
+    const attempts = entry.attempts + 1
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1))
+    const nextAttemptAt = Date.now() + delay
+
+    this._append({ op: 'attempt', id, attempts, error: err.message, nextAttemptAt })
+    entry.attempts = attempts
+    entry.nextAttemptAt = nextAttemptAt
+    this.lastError = err.message
+
+    if (attempts >= this.maxAttempts) {
+      this.discard(id, `Gave up after ${attempts} attempts: ${err.message}`)
+      return 0
+    }
+    return delay
+  }
+
+  /**
+   * Queue status
+   * @returns {object} { path, pending, committed, discarded, oldestQueuedAt, nextAttemptAt, lastError }
+   */
+  status() {
+    const pending = this.pending()
+    return {
+      path: this.path,
+      pending: pending.length,
+      committed: this.committed.size,
+      discarded: this.discardedEntries.size,
+      oldestQueuedAt: pending.length ? pending[0].queuedAt : null,
+      // Flushes run oldest-first, so the head of the queue decides when the next attempt happens
+      nextAttemptAt: pending.length && pending[0].nextAttemptAt
+        ? new Date(pending[0].nextAttemptAt).toISOString()
+        : null,
+      lastError: this.lastError
+    }
+  }
+
+  /**
+   * Rewrite the journal with only pending entries, discarded entries and recent commit markers
+   */
+  compact() {
+    const commits = [...this.committed.entries()].slice(-MAX_COMMITTED_HISTORY)
+    this.committed = new Map(commits)
+
+    const lines = [
+      ...commits.map(([hash, c]) => ({ op: 'commit', id: c.id, hash, result: c.result, committedAt: c.committedAt })),
+      ...this.discarded().map(e => ({ op: 'discard', ...e })),
+      ...this.pending().map(e => ({
+        op: 'enqueue', id: e.id, hash: e.hash, action: e.action, body: e.body, queuedAt: e.queuedAt
+      }))
+    ]
+
+    const tmp = `${this.path}.tmp`
+    fs.writeFileSync(tmp, lines.map(l => JSON.stringify(l) + '\n').join(''))
+    fs.renameSync(tmp, this.path)
+  }
+
+  /**
+   * Internal: append one record and fsync
+   */
+  _append(record) {
+    const fd = fs.openSync(this.path, 'a')
+    try {
+      fs.writeSync(fd, JSON.stringify(record) + '\n')
+      fs.fsyncSync(fd)
+    } finally {
+      fs.closeSync(fd)
+    }
+  }
+
+  /**
+   * Internal: rebuild in-memory state from the journal file
+   */
+  _replay() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true })
+    if (!fs.existsSync(this.path)) return
+
+    const lines = fs.readFileSync(this.path, 'utf8').split('\n')
+    for (const line of lines) {
+      if (!line.trim()) continue
+
+      let record
+      try {
+        record = JSON.parse(line)
+      } catch {
+        continue // torn write from a crash mid-append — skip it
+      }
+
+      if (record.op === 'enqueue') {
+        this.pendingEntries.set(record.id, { ...record, attempts: 0, nextAttemptAt: 0 })
+      } else if (record.op === 'attempt') {
+        const entry = this.pendingEntries.get(record.id)
+        if (entry) {
+          entry.attempts = record.attempts
+          entry.nextAttemptAt = record.nextAttemptAt
+          this.lastError = record.error
+        }
+      } else if (record.op === 'commit') {
+        this.pendingEntries.delete(record.id)
+        this.lastError = null
+        this.committed.set(record.hash, {
+          id: record.id,
+          result: record.result,
+          committedAt: record.committedAt
+        })
+      } else if (record.op === 'discard') {
+        this.pendingEntries.delete(record.id)
+        const { op, ...discarded } = record
+        this.discardedEntries.set(record.id, discarded)
+      }
+    }
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Revenue Ledger (operator side of BRC-105)
+ *
+ * The payment gate records every paid call, credit debit and rejected
+ * payment here; operators record refunds. Entries:
+ *
+ *   { outcome: 'paid' | 'debited' | 'rejected' | 'refunded', txid, satoshis, capability, route,
+ *     identityKey, feeStatus, feeSatoshis, code, error, recordedAt }
+ *
+ * feeStatus is 'paid', 'missing', 'not_required' or null (not checked —
+ * the payment was rejected first). 'debited' calls were paid from prepaid
+ * credit (credits.js) — the money arrived earlier, as a 'paid' top-up — so
+ * they count as usage, not as revenue. The ledger answers daily revenue per
+ * capability and exports CSV or JSON for bookkeeping.
+ *
+ * Store interface (all async):
+ *   append(entry) — persist one entry
+ *   query({ since, until }) → entries, oldest first
+ *
+ * MemoryLedgerStore and FileLedgerStore (a JSONL file, appended per entry
+ * and reloaded on startup) — see stores.js for choosing one.
+ */
+
+import fs from 'fs'
+import { appendJsonLine } from './stores.js'
+
+const CSV_COLUMNS = [
+  'recordedAt', 'outcome', 'capability', 'route', 'txid', 'satoshis',
+  'feeStatus', 'feeSatoshis', 'identityKey', 'code', 'error'
+]
+
+export class MemoryLedgerStore {
+  constructor() {
+    this.items = []
+  }
+
+  async append(entry) {
+    this.items.push(entry)
+  }
+
+  async query(options = {}) {
+    const { since = null, until = null } = options
+    const from = since ? new Date(since).getTime() : -Infinity
+    const to = until ? new Date(until).getTime() : Infinity
+    return this.items.filter(entry => {
+      const ts = new Date(entry.recordedAt).getTime()
+      return ts >= from && ts <= to
+    })
+  }
+}
+
+export class FileLedgerStore extends MemoryLedgerStore {
+  /**
+   * @param {object} config
+   * @param {string} config.path - JSONL file
+   */
+  constructor(config) {
+    if (!config || !config.path) throw new Error('path required')
+    super()
+    this.path = config.path
+
+    if (fs.existsSync(this.path)) {
+      for (const line of fs.readFileSync(this.path, 'utf8').split('\n')) {
+        if (line.trim()) this.items.push(JSON.parse(line))
+      }
+    }
+  }
+
+  async append(entry) {
+    appendJsonLine(this.path, entry)
+    await super.append(entry)
+  }
+}
+
+/**
+ * Create a revenue ledger
+ * Pass it as the payment gate's `ledger` option to record payments.
+ *
+ * @param {object} [config]
+ * @param {object} [config.store] - Ledger store (default: MemoryLedgerStore)
+ * @returns {object} { store, record, recordRefund, entries, dailyRevenue, export }
+ */
+export function createRevenueLedger(config = {}) {
+  const { store = new MemoryLedgerStore() } = config
+
+  return {
+    store,
+
+    /**
+     * Record an entry (the payment gate calls this)
+     * @param {object} entry - Ledger entry without recordedAt
+     * @returns {Promise<object>} The stored entry
+     */
+    async record(entry) {
+      const stored = { ...blankEntry(), ...entry, recordedAt: entry.recordedAt || new Date().toISOString() }
+      if (!['paid', 'debited', 'rejected', 'refunded'].includes(stored.outcome)) {
+        throw new Error(`Unknown ledger outcome: ${stored.outcome}`)
+      }
+      await store.append(stored)
+      return stored
+    },
+
+    /**
+     * Record a refund against a payment
+     * @param {object} refund - { txid, satoshis, capability?, identityKey?, reason? } — txid of the refunded payment
+     * @returns {Promise<object>} The stored entry
+     */
+    async recordRefund(refund) {
+      const { txid, satoshis, capability = null, identityKey = null, reason = null } = refund
+      if (!txid) throw new Error('txid required')
+      if (!Number.isInteger(satoshis) || satoshis <= 0) throw new Error('satoshis must be a positive integer')
+      return this.record({ outcome: 'refunded', txid, satoshis, capability, identityKey, error: reason })
+    },
+
+    /**
+     * Query recorded entries
+     * @param {object} [options] - { since, until, outcome, capability, identityKey }
+     * @returns {Promise<object[]>} Oldest first
+     */
+    async entries(options = {}) {
+      const { since = null, until = null, outcome = null, capability = null, identityKey = null } = options
+      const found = await store.query({ since, until })
+      return found.filter(entry =>
+        (!outcome || entry.outcome === outcome) &&
+        (!capability || entry.capability === capability) &&
+        (!identityKey || entry.identityKey === identityKey)
+      )
+    },
+
+    /**
+     * Revenue per UTC day and capability
+     * @param {object} [options] - Same filters as entries() (outcome excepted)
+     * @returns {Promise<object[]>} [{ date, capability, payments, satoshis, refunds, refundedSatoshis,
+     *   netSatoshis, debits, debitedSatoshis, rejected }] sorted by date, then capability — satoshis are
+     *   money received; debitedSatoshis were spent from prepaid credit
+     */
+    async dailyRevenue(options = {}) {
+      const rows = new Map()
+      for (const entry of await this.entries({ ...options, outcome: null })) {
+        const date = entry.recordedAt.slice(0, 10)
+        const capability = entry.capability || null
+        const key = JSON.stringify([date, capability])
+        if (!rows.has(key)) {
+          rows.set(key, {
+            date, capability, payments: 0, satoshis: 0, refunds: 0, refundedSatoshis: 0, netSatoshis: 0,
+            debits: 0, debitedSatoshis: 0, rejected: 0
+          })
+        }
+        const row = rows.get(key)
+        if (entry.outcome === 'paid') {
+          row.payments++
+          row.satoshis += entry.satoshis || 0
+        } else if (entry.outcome === 'refunded') {
+          row.refunds++
+          row.refundedSatoshis += entry.satoshis || 0
+        } else if (entry.outcome === 'debited') {
+          row.debits++
+          row.debitedSatoshis += entry.satoshis || 0
+        } else {
+          row.rejected++
+        }
+        row.netSatoshis = row.satoshis - row.refundedSatoshis
+      }
+      return [...rows.values()].sort((a, b) =>
+        a.date.localeCompare(b.date) || String(a.capability ?? '').localeCompare(String(b.capability ?? ''))
+      )
+    },
+
+    /**
+     * Export entries for bookkeeping
+     * @param {string} [format='json'] - 'json' or 'csv'
+     * @param {object} [options] - Same filters as entries()
+     * @returns {Promise<string>}
+     */
+    async export(format = 'json', options = {}) {
+      const found = await this.entries(options)
+      if (format === 'json') return JSON.stringify(found, null, 2)
+      if (format === 'csv') {
+        const lines = [CSV_COLUMNS.join(',')]
+        for (const entry of found) lines.push(CSV_COLUMNS.map(column => csvCell(entry[column])).join(','))
+        return lines.join('\n') + '\n'
+      }
+      throw new Error(`Unsupported export format: ${format}`)
+    }
+  }
+}
+
+/**
+ * Internal: every field present, so exports have stable columns
+ */
+function blankEntry() {
+  return {
+    outcome: null,
+    txid: null,
+    satoshis: null,
+    capability: null,
+    route: null,
+    identityKey: null,
+    feeStatus: null,
+    feeSatoshis: null,
+    code: null,
+    error: null
+  }
+}
+
+/**
+ * Internal: one CSV cell. Text that a spreadsheet would read as a formula
+ * (routes and capabilities come from callers) is prefixed with a quote.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'number') return String(value)
+  let text = String(value)
+  if (/^[=+\-@]/.test(text)) text = `'${text}`
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
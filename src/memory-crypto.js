@@ -0,0 +1,148 @@
+/**
+ * Client-Side Memory Encryption (end-to-end)
+ *
+ * Encrypts agent memory before it leaves the process, so the Indelible
+ * server only ever stores ciphertext. Keys are derived from the agent's
+ * own private key (BRC-42 self-derivation), one key per version:
+ *
+ *   memoryKey(v) = SHA-256( agentKey.deriveChild(agentPubKey, 'indelible memory v<v>') )
+ *
+ * Every ciphertext is tagged with the key version that produced it, so
+ * rotating to a new version never breaks decryption of older sessions.
+ *
+ * Uses SymmetricKey (AES-256-GCM) from @bsv/sdk.
+ */
+
+import { SymmetricKey, PrivateKey, Hash, Utils } from '@bsv/sdk'
+
+/** Marker prefix for client-encrypted values: ie2e:<keyVersion>:<base64> */
+const ENCRYPTED_PREFIX = 'ie2e:'
+
+// Matches encrypted tokens embedded anywhere in a string (e.g. a formatted context)
+const TOKEN_PATTERN = /ie2e:(\d+):([A-Za-z0-9+/]+={0,2})/g
+
+/**
+ * Derive the AES-256 memory key for a given key version
+ *
+ * @param {string} privateKeyWif - Agent's private key (WIF)
+ * @param {number} [keyVersion=1] - Key version (bump to rotate)
+ * @returns {SymmetricKey}
+ */
+export function deriveMemoryKey(privateKeyWif, keyVersion = 1) {
+  if (!privateKeyWif) throw new Error('privateKeyWif required')
+  if (!Number.isInteger(keyVersion) || keyVersion < 1) throw new Error('keyVersion must be a positive integer')
+
+  const key = PrivateKey.fromWif(privateKeyWif)
+  const child = key.deriveChild(key.toPublicKey(), `indelible memory v${keyVersion}`)
+
+  return new SymmetricKey(Hash.sha256(child.toArray('be', 32)))
+}
+
+/**
+ * Encrypt a value for storage
+ *
+ * @param {object} config
+ * @param {string} config.privateKeyWif - Agent's private key (WIF)
+ * @param {number} [config.keyVersion=1] - Key version to encrypt with
+ * @param {*} config.value - Any JSON-serializable value
+ * @returns {string} Encrypted token (ie2e:<keyVersion>:<base64>)
+ */
+export function encryptMemoryValue(config) {
+  const { privateKeyWif, keyVersion = 1, value } = config
+
+  if (value === undefined) throw new Error('value required')
+
+  const key = deriveMemoryKey(privateKeyWif, keyVersion)
+  const plaintext = Utils.toArray(JSON.stringify(value), 'utf8')
+  const ciphertext = key.encrypt(plaintext)
+
+  return `${ENCRYPTED_PREFIX}${keyVersion}:${Utils.toBase64(ciphertext)}`
+}
+
+/**
+ * Decrypt a value produced by encryptMemoryValue
+ *
+ * Values that are not encrypted tokens are returned unchanged, so
+ * plaintext sessions saved before E2E was enabled still load.
+ *
+ * @param {object} config
+ * @param {string} config.privateKeyWif - Agent's private key (WIF)
+ * @param {*} config.value - Encrypted token (or plaintext passthrough)
+ * @returns {*} Decrypted value
+ */
+export function decryptMemoryValue(config) {
+  const { privateKeyWif, value } = config
+
+  if (!isEncryptedValue(value)) return value
+
+  const [, version, b64] = value.match(/^ie2e:(\d+):(.+)$/)
+  const key = deriveMemoryKey(privateKeyWif, parseInt(version))
+  const plaintext = key.decrypt(Utils.toArray(b64, 'base64'))
+
+  return JSON.parse(Utils.toUTF8(plaintext))
+}
+
+/**
+ * Check whether a value is a client-encrypted token
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX)
+}
+
+/**
+ * Encrypt the content of every message, leaving indexing metadata
+ * (role, timestamp, etc.) in the clear
+ *
+ * @param {object[]} messages - Messages array ({ role, content, ... })
+ * @param {object} config
+ * @param {string} config.privateKeyWif - Agent's private key (WIF)
+ * @param {number} [config.keyVersion=1] - Key version to encrypt with
+ * @returns {object[]} Messages with encrypted content
+ */
+export function encryptMessages(messages, config) {
+  return messages.map(msg => ({
+    ...msg,
+    content: encryptMemoryValue({ ...config, value: msg.content })
+  }))
+}
+
+/**
+ * Decrypt the content of every message
+ *
+ * @param {object[]} messages - Messages with encrypted content
+ * @param {object} config
+ * @param {string} config.privateKeyWif - Agent's private key (WIF)
+ * @returns {object[]} Messages with plaintext content
+ */
+export function decryptMessages(messages, config) {
+  return messages.map(msg => ({
+    ...msg,
+    content: decryptMemoryValue({ ...config, value: msg.content })
+  }))
+}
+
+/**
+ * Decrypt every encrypted token embedded in a string
+ *
+ * The Indelible server formats restored context itself, so ciphertext
+ * comes back inlined in prose. Each token is replaced with its plaintext;
+ * non-string values are inlined as JSON.
+ *
+ * @param {string} text - Text containing ie2e tokens
+ * @param {object} config
+ * @param {string} config.privateKeyWif - Agent's private key (WIF)
+ * @returns {string} Text with all tokens decrypted
+ */
+export function decryptText(text, config) {
+  if (typeof text !== 'string') return text
+
+  return text.replace(TOKEN_PATTERN, (token) => {
+    const value = decryptMemoryValue({ ...config, value: token })
+    return typeof value === 'string' ? value : JSON.stringify(value)
+  })
+}
+
+export { ENCRYPTED_PREFIX }
@@ -9,18 +9,43 @@
  * - Raw hex transactions (legacy)
  * - Base64-encoded transactions (ClawSats AuthFetch format)
  * - AtomicBEEF / BEEF format (BRC-62/BRC-95)
+ * - SPV: BEEF payments are verified back to mined ancestors (scripts and
+ *   merkle proofs) through a ChainTracker
  * - Wallet internalization mode (BRC-29 via config.wallet)
- * - ClawSats protocol fee verification (x-clawsats-fee-* headers)
+ * - ClawSats protocol fee verification (x-clawsats-fee-* headers): the fee
+ *   output must pay exactly the BRC-42 script derived from the challenge prefix
+ * - Replay protection: only derivation prefixes this middleware issued are
+ *   accepted, each once, within the challenge TTL (see nonces.js)
+ * - Challenge binding: each prefix is tied to the price, route, request
+ *   hash and caller identity it was issued for
+ * - Prepaid credit (credits.js): a challenge can be paid from the caller's
+ *   balance with a signed x-bsv-credit header instead of a transaction
+ *
+ * Challenge error codes (402, with a fresh challenge attached):
+ *   ERR_CHALLENGE_UNKNOWN  — prefix was never issued or was already used
+ *   ERR_CHALLENGE_EXPIRED  — prefix was issued but its TTL has passed
+ *   ERR_CHALLENGE_MISMATCH — prefix was issued for a different route, body or caller
+ *   ERR_MISSING_FEE        — no output pays the derived protocol fee script (details.expectedFeeOutput)
+ *   ERR_BEEF_REQUIRED      — requireSpv is on and the payment carries no ancestry
+ *   ERR_UNCONFIRMED_ANCESTOR — an input spends an unmined transaction and allowUnconfirmed is off
+ *   ERR_SPV_FAILED         — a script, merkle proof or amount in the ancestry doesn't check out
+ *   ERR_INSUFFICIENT_CREDIT — credit debit asked for, but the balance doesn't cover the price (details.balance)
+ *
+ * Accounting: onChallenge, onPaid and onRejected hooks, and a revenue
+ * ledger (ledger.js) that records every paid call and rejected payment.
+ *
+ * createPaymentGate holds the flow and knows no framework; the Express
+ * middleware here and the adapters in adapters.js are thin wrappers over it.
  */
 
 import crypto from 'crypto'
-import { Transaction, P2PKH, Utils } from '@bsv/sdk'
-
-/** ClawSats protocol fee constants — canonical values from ClawSats protocol */
-const FEE_SATS = 2
-const FEE_KID = 'clawsats-fee-v1'
-const FEE_DERIVATION_SUFFIX = 'fee'
-const FEE_IDENTITY_KEY = '0307102dc99293edba7f75bf881712652879c151b454ebf5d8e7a0ba07c4d17364'
+import { Transaction, P2PKH, Utils, defaultChainTracker } from '@bsv/sdk'
+import { FEE_SATS, FEE_KID, FEE_DERIVATION_SUFFIX, FEE_IDENTITY_KEY, deriveFeeLockingScript } from './fees.js'
+import { MemoryNonceStore } from './nonces.js'
+import { hashPayload } from './receipts.js'
+import { verifyPaymentTransaction, hasAncestry } from './spv.js'
+import { verifyCreditDebit } from './credits.js'
+import { createRateLimiter } from './validation.js'
 
 /**
  * Parse a transaction string in any supported format:
@@ -58,80 +83,295 @@ function parseTransaction(txString) {
 }
 
 /**
- * Create Express middleware for BRC-105 payment gating
+ * Create the framework-agnostic BRC-105 payment gate
+ *
+ * The gate takes a request and returns a decision; adapters (Express below,
+ * Fastify/Koa/Hono/node:http in adapters.js) translate both ways.
  *
  * @param {object} config
  * @param {string} config.operatorAddress - BSV address to receive payments
- * @param {function} config.calculatePrice - (req) => sats required
+ * @param {function} [config.calculatePrice] - (req) => sats required — req is the request given to the gate
+ * @param {object} [config.pricing] - createPricing() model — alternative to calculatePrice, shared with the capability registry
  * @param {object} [config.wallet] - Optional BRC-29 wallet for internalizeAction verification
- * @param {boolean} [config.requireProtocolFee=false] - If true, verify ClawSats 2-sat protocol fee output exists
- * @returns {function} Express middleware
+ * @param {boolean} [config.requireProtocolFee=false] - If true, require the ClawSats 2-sat protocol fee output
+ *   (exact deriveFeeLockingScript match for the challenge prefix — the "anyone"-counterparty derivation, not
+ *   ClawSats wallets' BRC-29 fee outputs; see fees.js)
+ * @param {object} [config.nonceStore] - Issued-prefix and paid-txid store: MemoryNonceStore (default), FileNonceStore or
+ *   RedisNonceStore — use a shared store when several instances serve the same operator
+ * @param {number} [config.challengeTtlMs=300000] - How long an issued prefix can be paid against.
+ *   Expired prefixes are remembered for as long again, to report ERR_CHALLENGE_EXPIRED
+ * @param {number} [config.claimTtlMs=2592000000] - How long a paying txid stays claimed (default 30 days). A
+ *   transaction replayed after that is accepted again, so keep it longer than you'd take a payment that old.
+ *   Must outlive the challenge (over 2 × challengeTtlMs); Infinity never expires claims
+ * @param {object} [config.chainTracker] - ChainTracker for merkle proofs (default: @bsv/sdk defaultChainTracker,
+ *   or a HeadersFileChainTracker offline)
+ * @param {boolean} [config.allowUnconfirmed=false] - Accept payments spending unmined (but SPV-valid) ancestors
+ * @param {boolean} [config.requireSpv=false] - Reject raw transactions — only BEEF/AtomicBEEF payments are accepted
+ * @param {object} [config.credits] - createCreditAccounts() — accept signed x-bsv-credit debits from prepaid balances
+ * @param {object} [config.ledger] - createRevenueLedger() — records paid calls, credit debits and rejected payments
+ * @param {object} [config.rateLimit] - createRateLimiter() result, or its { limit, windowMs } config. Paid and credit
+ *   requests are counted per authenticated identity (req.auth.identityKey) before any payment is taken; over the
+ *   limit they get 429 ERR_RATE_LIMITED and the prefix stays payable. Requests without req.auth aren't limited —
+ *   they pay per call, and one shared bucket would let anyone exhaust it for every unauthenticated caller
+ * @param {function} [config.onChallenge] - async (event) on each challenge issued:
+ *   { code, derivationPrefix, satoshisRequired, capability, route, identityKey, expiresAt, request }
+ * @param {function} [config.onPaid] - async (event) on each accepted payment or credit debit: the ledger entry
+ *   plus { payment, request }
+ * @param {function} [config.onRejected] - async (event) on each rejected payment: the ledger entry plus { request }
+ *   Hooks and the ledger are awaited, but a failure in them never changes the decision
+ * @returns {function} async (req) => decision
+ *   req: { method, url (or originalUrl), headers (lower-case names), body, auth? } — an Express req qualifies
+ *   decision: { allowed, payment, status, headers, body } — when allowed, payment is what req.payment
+ *   should be; otherwise answer with status, headers and the JSON body
  */
-export function createIndeliblePaymentMiddleware(config) {
+export function createPaymentGate(config) {
   const {
     operatorAddress,
-    calculatePrice,
+    pricing = null,
     wallet = null,
-    requireProtocolFee = false
+    requireProtocolFee = false,
+    nonceStore = new MemoryNonceStore(),
+    challengeTtlMs = 300000,
+    claimTtlMs = 30 * 24 * 60 * 60 * 1000,
+    chainTracker = null,
+    allowUnconfirmed = false,
+    requireSpv = false,
+    credits = null,
+    ledger = null,
+    rateLimit = null,
+    onChallenge = null,
+    onPaid = null,
+    onRejected = null
   } = config
-  const usedPrefixes = new Set()
+  const calculatePrice = config.calculatePrice || (pricing && ((req) => pricing.calculatePrice(req)))
+  const capabilityOf = pricing
+    ? (req) => pricing.capabilityOf(req)
+    : (req) => (req.body && typeof req.body.capability === 'string' ? req.body.capability : null)
 
   if (!operatorAddress) throw new Error('operatorAddress required')
-  if (!calculatePrice) throw new Error('calculatePrice function required')
+  if (!calculatePrice) throw new Error('calculatePrice function or pricing model required')
+  if (typeof nonceStore.claim !== 'function') throw new Error('nonceStore must implement claim(key, ttlMs)')
+  if (!(claimTtlMs > challengeTtlMs * 2)) throw new Error('claimTtlMs must outlive the challenge (over 2 × challengeTtlMs)')
 
-  return async (req, res, next) => {
-    const price = await calculatePrice(req)
+  const limiter = rateLimit && (typeof rateLimit.check === 'function' ? rateLimit : createRateLimiter(rateLimit))
+
+  return async (req) => {
+    const headers = {}
+    const setHeader = (name, value) => { headers[name] = value }
+    const respond = (status, body) => ({ allowed: false, payment: null, status, headers, body })
+    const allow = (payment) => ({ allowed: true, payment, status: null, headers, body: null })
+
+    let price
+    try {
+      price = await calculatePrice(req)
+    } catch (err) {
+      return respond(400, { error: `Cannot price request: ${err.message}` })
+    }
 
     // Free calls pass through
     if (price === 0) {
-      req.payment = { satoshisPaid: 0, accepted: true }
-      return next()
+      return allow({ satoshisPaid: 0, accepted: true })
     }
 
     const paymentHeader = req.headers['x-bsv-payment']
 
-    // No payment: return 402 challenge
-    if (!paymentHeader) {
+    const binding = bindRequest(req)
+    const capability = capabilityOf(req)
+    // Only authenticated identities are rate limited — see config.rateLimit
+    const limited = limiter && req.auth && req.auth.identityKey ? req.auth.identityKey : null
+
+    // What is known about the payment so far, for the ledger
+    const audit = {
+      txid: null,
+      satoshis: null,
+      feeStatus: requireProtocolFee ? null : 'not_required',
+      feeSatoshis: null
+    }
+
+    const account = async (outcome, hook, fields, extra = {}) => {
+      let entry = {
+        outcome,
+        ...audit,
+        capability,
+        route: binding.route,
+        identityKey: binding.identityKey,
+        code: null,
+        error: null,
+        ...fields
+      }
+      if (ledger) entry = await quietly(() => ledger.record(entry)) || entry
+      if (hook) await quietly(() => hook({ ...entry, ...extra, request: req }))
+    }
+
+    // A rejected payment — recorded, then answered as decided
+    const reject = async (decision, code = decision.body.code || null) => {
+      await account('rejected', onRejected, { code, error: decision.body.error || decision.body.description || null })
+      return decision
+    }
+
+    const accept = async (payment) => {
+      // Tells capability guards this call was already counted against the rate limit
+      if (limited) payment.rateCounted = true
+      const outcome = payment.credit ? 'debited' : 'paid'
+      await account(outcome, onPaid, { txid: payment.txid || null, satoshis: payment.satoshisPaid }, { payment })
+      return allow(payment)
+    }
+
+    // One transaction pays for one call — its txid is claimed for claimTtlMs, so
+    // it can't be replayed against a fresh challenge (or after a restart)
+    const acceptTransaction = async (payment) => {
+      let fresh
+      try {
+        fresh = await nonceStore.claim(`tx:${payment.txid}`, claimTtlMs)
+      } catch (err) {
+        return respond(503, { error: `Payment challenge store unavailable: ${err.message}` })
+      }
+      if (!fresh) {
+        return reject(await sendChallenge('ERR_PAYMENT_REUSED', `Transaction ${payment.txid} has already paid for a call — pay against this new challenge`))
+      }
+      return accept(payment)
+    }
+
+    // Issue a challenge bound to this request and answer 402
+    const sendChallenge = async (code, description, details = {}) => {
       const prefix = crypto.randomBytes(16).toString('base64')
+      const expiresAt = new Date(Date.now() + challengeTtlMs).toISOString()
+      try {
+        await nonceStore.issue(prefix, { satoshisRequired: price, ...binding, expiresAt }, challengeTtlMs * 2)
+      } catch (err) {
+        return respond(503, { error: `Payment challenge store unavailable: ${err.message}` })
+      }
+      if (onChallenge) {
+        await quietly(() => onChallenge({
+          code,
+          derivationPrefix: prefix,
+          satoshisRequired: price,
+          capability,
+          route: binding.route,
+          identityKey: binding.identityKey,
+          expiresAt,
+          request: req
+        }))
+      }
 
-      res.set('x-bsv-payment-version', '1.0')
-      res.set('x-bsv-payment-satoshis-required', String(price))
-      res.set('x-bsv-payment-derivation-prefix', prefix)
-      res.set('x-bsv-payment-address', operatorAddress)
+      setHeader('x-bsv-payment-version', '1.0')
+      setHeader('x-bsv-payment-satoshis-required', String(price))
+      setHeader('x-bsv-payment-derivation-prefix', prefix)
+      setHeader('x-bsv-payment-address', operatorAddress)
 
       // ClawSats protocol fee headers (exact names from WalletManager.ts)
       if (requireProtocolFee) {
-        res.set('x-clawsats-fee-satoshis-required', String(FEE_SATS))
-        res.set('x-clawsats-fee-kid', FEE_KID)
-        res.set('x-clawsats-fee-derivation-suffix', FEE_DERIVATION_SUFFIX)
-        res.set('x-clawsats-fee-identity-key', FEE_IDENTITY_KEY)
+        setHeader('x-clawsats-fee-satoshis-required', String(FEE_SATS))
+        setHeader('x-clawsats-fee-kid', FEE_KID)
+        setHeader('x-clawsats-fee-derivation-suffix', FEE_DERIVATION_SUFFIX)
+        setHeader('x-clawsats-fee-identity-key', FEE_IDENTITY_KEY)
       }
 
-      return res.status(402).json({
+      return respond(402, {
         status: 'error',
-        code: 'ERR_PAYMENT_REQUIRED',
+        code,
         satoshisRequired: price,
         operatorAddress,
+        expiresAt,
         ...(requireProtocolFee ? {
           protocolFee: FEE_SATS,
           feeIdentityKey: FEE_IDENTITY_KEY
         } : {}),
-        description: `Pay ${price} sats to use Indelible memory service`
+        ...(credits ? { creditAccepted: true } : {}),
+        description,
+        ...details
       })
     }
 
+    // Replay protection — the prefix must be one we issued, and is spent
+    // now whether or not the payment checks out
+    const redeem = async (derivationPrefix) => {
+      const challenge = await nonceStore.consume(derivationPrefix)
+      if (!challenge) {
+        return { rejection: await reject(await sendChallenge('ERR_CHALLENGE_UNKNOWN', 'Payment prefix was not issued or was already used (replay detected) — pay against this new challenge')) }
+      }
+      if (new Date(challenge.expiresAt).getTime() <= Date.now()) {
+        return { rejection: await reject(await sendChallenge('ERR_CHALLENGE_EXPIRED', `Payment challenge expired at ${challenge.expiresAt} — pay against this new challenge`)) }
+      }
+      const mismatch = ['route', 'requestHash', 'identityKey'].find(field => challenge[field] !== binding[field])
+      if (mismatch) {
+        return { rejection: await reject(await sendChallenge('ERR_CHALLENGE_MISMATCH', `Payment challenge was issued for a different ${mismatch} — pay against this new challenge`)) }
+      }
+      return { challenge }
+    }
+
+    const creditHeader = credits ? req.headers['x-bsv-credit'] : null
+
+    // No payment: return 402 challenge
+    if (!paymentHeader && !creditHeader) {
+      return sendChallenge('ERR_PAYMENT_REQUIRED', `Pay ${price} sats to use Indelible memory service`)
+    }
+
+    // Rate limit before anything is redeemed or debited — the caller can retry
+    // the same payment once the limit allows
+    if (limited) {
+      const { allowed, retryAfterMs } = limiter.check(limited)
+      if (!allowed) {
+        setHeader('retry-after', String(Math.ceil(retryAfterMs / 1000)))
+        return reject(respond(429, {
+          status: 'error',
+          code: 'ERR_RATE_LIMITED',
+          description: `Rate limit exceeded — retry in ${retryAfterMs}ms`,
+          retryAfterMs
+        }))
+      }
+    }
+
+    // Prepaid credit: the caller signs the challenge prefix and its balance is
+    // debited — no transaction, so no fee or SPV checks (the top-up had them)
+    if (!paymentHeader) {
+      audit.feeStatus = 'not_required'
+      try {
+        const credit = JSON.parse(creditHeader)
+        if (!credit || !credit.derivationPrefix || typeof credit.derivationPrefix !== 'string') {
+          return reject(respond(400, { error: 'Credit derivationPrefix required' }), 'ERR_INVALID_CREDIT')
+        }
+
+        const { challenge, rejection } = await redeem(credit.derivationPrefix)
+        if (rejection) return rejection
+        price = challenge.satoshisRequired
+
+        if (!binding.identityKey || !verifyCreditDebit(credit, binding.identityKey)) {
+          return reject(respond(401, { error: 'Credit debit must be signed by the caller identity key (x-bsv-identity-key)' }), 'ERR_INVALID_CREDIT')
+        }
+
+        const balance = await credits.debit(binding.identityKey, price)
+        if (balance === null) {
+          const available = await credits.balanceOf(binding.identityKey)
+          return reject(await sendChallenge(
+            'ERR_INSUFFICIENT_CREDIT',
+            `Credit balance is ${available} sats, ${price} required — top up, or pay against this new challenge`,
+            { balance: available }
+          ))
+        }
+
+        return accept({
+          satoshisPaid: price,
+          accepted: true,
+          derivationPrefix: credit.derivationPrefix,
+          credit: true,
+          balance
+        })
+      } catch (err) {
+        return reject(respond(400, { error: `Credit debit failed: ${err.message}` }), 'ERR_INVALID_CREDIT')
+      }
+    }
+
     // Payment included: verify
     try {
       const payment = JSON.parse(paymentHeader)
       const { derivationPrefix, derivationSuffix, transaction } = payment
 
-      // Replay protection
-      if (usedPrefixes.has(derivationPrefix)) {
-        return res.status(400).json({ error: 'Payment prefix already used (replay detected)' })
+      if (!derivationPrefix || typeof derivationPrefix !== 'string') {
+        return reject(respond(400, { error: 'Payment derivationPrefix required' }), 'ERR_INVALID_PAYMENT')
       }
-
       if (!transaction || typeof transaction !== 'string') {
-        return res.status(400).json({ error: 'Invalid payment transaction' })
+        return reject(respond(400, { error: 'Invalid payment transaction' }), 'ERR_INVALID_PAYMENT')
       }
 
       // Parse transaction — supports hex, base64, BEEF, and AtomicBEEF
@@ -139,7 +379,59 @@ export function createIndeliblePaymentMiddleware(config) {
       try {
         tx = parseTransaction(transaction)
       } catch (parseErr) {
-        return res.status(400).json({ error: `Invalid transaction: ${parseErr.message}` })
+        return reject(respond(400, { error: `Invalid transaction: ${parseErr.message}` }), 'ERR_INVALID_PAYMENT')
+      }
+      audit.txid = tx.id('hex')
+
+      const { challenge, rejection } = await redeem(derivationPrefix)
+      if (rejection) return rejection
+
+      // The caller pays what it was quoted, even if the price has moved since
+      price = challenge.satoshisRequired
+
+      // Protocol fee — checked before any funds are internalized. The provider
+      // can't spend the fee output (only the treasury can), but it can derive
+      // its exact script from the challenge prefix and require a match.
+      if (requireProtocolFee) {
+        const expectedFeeScript = deriveFeeLockingScript({ derivationPrefix })
+        let feePaid = 0
+        for (const output of tx.outputs) {
+          if (output.lockingScript.toHex() === expectedFeeScript) feePaid += output.satoshis
+        }
+        audit.feeSatoshis = feePaid
+        audit.feeStatus = feePaid < FEE_SATS ? 'missing' : 'paid'
+        if (feePaid < FEE_SATS) {
+          return reject(await sendChallenge(
+            'ERR_MISSING_FEE',
+            `Payment must include a ${FEE_SATS}-sat ClawSats protocol fee output locked to ${expectedFeeScript} ` +
+              `(BRC-42 child of ${FEE_IDENTITY_KEY}, invoice 2-${FEE_KID}-${derivationPrefix} ${FEE_DERIVATION_SUFFIX}); ` +
+              `found ${feePaid} sats — pay against this new challenge`,
+            {
+              expectedFeeOutput: {
+                lockingScript: expectedFeeScript,
+                satoshis: FEE_SATS,
+                feeIdentityKey: FEE_IDENTITY_KEY,
+                kid: FEE_KID,
+                derivationPrefix,
+                derivationSuffix: FEE_DERIVATION_SUFFIX
+              },
+              feeSatoshisFound: feePaid
+            }
+          ))
+        }
+      }
+
+      // SPV — BEEF carries the ancestry to check; raw transactions can't be
+      // checked and only pass when requireSpv is off
+      const spvCapable = hasAncestry(tx)
+      if (spvCapable || requireSpv) {
+        const spv = await verifyPaymentTransaction(tx, {
+          chainTracker: chainTracker || defaultChainTracker(),
+          allowUnconfirmed
+        })
+        if (!spv.valid) {
+          return reject(await sendChallenge(spv.code, `Payment failed SPV verification: ${spv.error} — pay against this new challenge`))
+        }
       }
 
       // --- Verification Mode ---
@@ -164,39 +456,17 @@ export function createIndeliblePaymentMiddleware(config) {
             description: `Payment: ${price} sats`
           })
 
-          // Verify protocol fee structurally even in wallet mode
-          if (requireProtocolFee) {
-            let feeOutputFound = false
-            for (let i = 1; i < tx.outputs.length; i++) {
-              if (tx.outputs[i].satoshis >= FEE_SATS) {
-                feeOutputFound = true
-                break
-              }
-            }
-            if (!feeOutputFound) {
-              return res.status(402).json({
-                status: 'error',
-                code: 'ERR_MISSING_FEE',
-                description: `Payment must include a ${FEE_SATS}-sat fee output to the ClawSats protocol. See x-clawsats-fee-identity-key header.`
-              })
-            }
-          }
-
-          usedPrefixes.add(derivationPrefix)
-          cleanupPrefixes(usedPrefixes)
-
-          req.payment = {
+          return acceptTransaction({
             satoshisPaid: price,
             accepted: true,
             derivationPrefix,
             txid: tx.id('hex'),
+            spv: spvCapable,
             internalized: true,
             result
-          }
-
-          return next()
+          })
         } catch (intErr) {
-          return res.status(400).json({ error: `Wallet internalization failed: ${intErr.message}` })
+          return reject(respond(400, { error: `Wallet internalization failed: ${intErr.message}` }), 'ERR_INTERNALIZE_FAILED')
         }
       }
 
@@ -211,60 +481,70 @@ export function createIndeliblePaymentMiddleware(config) {
         }
       }
 
+      audit.satoshis = satoshisPaid
       if (satoshisPaid < price) {
-        return res.status(400).json({
+        return reject(respond(400, {
           error: `Insufficient payment: ${satoshisPaid} sats paid, ${price} required`,
           satoshisPaid,
           satoshisRequired: price
-        })
+        }), 'ERR_INSUFFICIENT_PAYMENT')
       }
 
-      // Verify protocol fee output structurally (any output beyond index 0 with >= FEE_SATS)
-      // Provider can't internalize the fee (doesn't hold treasury key) — just verify it exists.
-      // The fee wallet holder does full BRC-29 derivation verification when sweeping.
-      if (requireProtocolFee) {
-        let feeOutputFound = false
-        for (let i = 1; i < tx.outputs.length; i++) {
-          if (tx.outputs[i].satoshis >= FEE_SATS) {
-            feeOutputFound = true
-            break
-          }
-        }
-        if (!feeOutputFound) {
-          return res.status(402).json({
-            status: 'error',
-            code: 'ERR_MISSING_FEE',
-            description: `Payment must include a ${FEE_SATS}-sat fee output to the ClawSats protocol. See x-clawsats-fee-identity-key header.`
-          })
-        }
-      }
-
-      usedPrefixes.add(derivationPrefix)
-      cleanupPrefixes(usedPrefixes)
-
-      req.payment = {
+      return acceptTransaction({
         satoshisPaid,
         accepted: true,
         derivationPrefix,
-        txid: tx.id('hex')
-      }
-
-      next()
+        txid: tx.id('hex'),
+        spv: spvCapable
+      })
     } catch (err) {
-      res.status(400).json({ error: `Payment verification failed: ${err.message}` })
+      return reject(respond(400, { error: `Payment verification failed: ${err.message}` }), 'ERR_INVALID_PAYMENT')
     }
   }
 }
 
 /**
- * Clean up old derivation prefixes to prevent memory leaks
- * @param {Set} prefixSet
+ * Create Express middleware for BRC-105 payment gating
+ * Takes the same config as createPaymentGate; sets req.payment on success.
+ *
+ * @param {object} config - See createPaymentGate
+ * @returns {function} Express middleware
  */
-function cleanupPrefixes(prefixSet) {
-  if (prefixSet.size > 10000) {
-    const iterator = prefixSet.values()
-    for (let i = 0; i < 5000; i++) {
-      prefixSet.delete(iterator.next().value)
+export function createIndeliblePaymentMiddleware(config) {
+  const gate = createPaymentGate(config)
+
+  return async (req, res, next) => {
+    const decision = await gate(req)
+    if (decision.allowed) {
+      req.payment = decision.payment
+      return next()
     }
+    for (const [name, value] of Object.entries(decision.headers)) res.set(name, value)
+    res.status(decision.status).json(decision.body)
+  }
+}
+
+/**
+ * Internal: run an accounting step; its failure must not decide a payment
+ */
+async function quietly(fn) {
+  try {
+    return await fn()
+  } catch {
+    return null
+  }
+}
+
+/**
+ * What a challenge is bound to: route, request content and caller
+ * @param {object} req
+ * @returns {object} { route, requestHash, identityKey }
+ */
+function bindRequest(req) {
+  const url = String(req.originalUrl || req.url || req.path || '')
+  return {
+    route: `${String(req.method || 'GET').toUpperCase()} ${url.split('?')[0]}`,
+    requestHash: hashPayload({ url, body: req.body ?? null }),
+    identityKey: (req.auth && req.auth.identityKey) || req.headers['x-bsv-identity-key'] || null
   }
 }
@@ -0,0 +1,144 @@
+/**
+ * Shared Memory Namespaces
+ *
+ * A namespace is a named memory stream with an access list of agent
+ * public keys. Private namespaces have one member (the agent); shared
+ * namespaces let planner/worker teams read and write a common memory.
+ *
+ * The stream address is derived from the owner's public key and the
+ * namespace name (BRC-42 with the "anyone" counterparty), so every member
+ * computes the same address without coordination:
+ *
+ *   address = ownerPubKey.deriveChild(anyone, 'indelible namespace <name>').toAddress()
+ *
+ * Every entry is encrypted for every member with BRC-78 (encryptMessage),
+ * and tagged with its sender. Members only accept entries whose sender is
+ * on their access list — BRC-78 decryption authenticates the sender key.
+ * Anything else at the address (plaintext messages, summaries or tombstones
+ * anyone could have written there) is rejected.
+ *
+ * Ciphertext format: ins1:<base64 JSON { s: senderPubKey, r: { memberPubKey: hex } }>
+ */
+
+import { PrivateKey, PublicKey, Utils } from '@bsv/sdk'
+import { encryptMessage, decryptMessage } from './encryption.js'
+import { ANYONE_KEY } from './constants.js'
+
+const NAMESPACE_PREFIX = 'ins1:'
+
+/**
+ * Derive the stream address of a namespace
+ *
+ * @param {string} ownerPubKey - Namespace owner's public key (hex)
+ * @param {string} name - Namespace name
+ * @returns {string} BSV address used as the namespace's agentAddress
+ */
+export function namespaceAddress(ownerPubKey, name) {
+  if (!ownerPubKey) throw new Error('ownerPubKey required')
+  if (!name) throw new Error('name required')
+
+  return PublicKey.fromString(ownerPubKey)
+    .deriveChild(ANYONE_KEY, `indelible namespace ${name}`)
+    .toAddress()
+}
+
+/**
+ * Resolve a namespace definition
+ * The owner and the local agent are always members.
+ *
+ * @param {object} config
+ * @param {string} config.name - Namespace name
+ * @param {string} config.selfPubKey - This agent's public key
+ * @param {string} [config.owner] - Owner public key (default: selfPubKey — a namespace this agent owns)
+ * @param {string[]} [config.members] - Member public keys (default: just the owner and self)
+ * @returns {object} { name, owner, members, address, shared }
+ */
+export function resolveNamespace(config) {
+  const { name, selfPubKey, owner = selfPubKey, members = [] } = config
+
+  if (!name) throw new Error('namespace name required')
+  if (!selfPubKey) throw new Error('selfPubKey required')
+
+  const all = [...new Set([owner, selfPubKey, ...members])]
+  for (const key of all) PublicKey.fromString(key) // throws on malformed keys
+
+  return {
+    name,
+    owner,
+    members: all,
+    address: namespaceAddress(owner, name),
+    shared: all.length > 1
+  }
+}
+
+/**
+ * Encrypt a value for every member
+ *
+ * @param {object} config
+ * @param {string} config.senderWif - Writing agent's private key (WIF)
+ * @param {string[]} config.members - Member public keys
+ * @param {*} config.value - Any JSON-serializable value
+ * @returns {string} ins1:<base64> token
+ */
+export function encryptForMembers(config) {
+  const { senderWif, members, value } = config
+
+  if (!senderWif) throw new Error('senderWif required')
+  if (!Array.isArray(members) || !members.length) throw new Error('members required')
+  if (value === undefined) throw new Error('value required')
+
+  const message = JSON.stringify(value)
+  const recipients = {}
+  for (const member of members) {
+    recipients[member] = encryptMessage({ senderWif, recipientPubKey: member, message })
+  }
+
+  const envelope = {
+    s: PrivateKey.fromWif(senderWif).toPublicKey().toString(),
+    r: recipients
+  }
+  return NAMESPACE_PREFIX + Utils.toBase64(Utils.toArray(JSON.stringify(envelope), 'utf8'))
+}
+
+/**
+ * Decrypt a value as one member
+ *
+ * Anything that is not an ins1 token is rejected: a namespace stream is
+ * publicly derivable, so plaintext in it may have been written by anyone.
+ *
+ * @param {object} config
+ * @param {string} config.recipientWif - Reading agent's private key (WIF)
+ * @param {*} config.value - ins1 token
+ * @param {string[]} [config.members] - Access list — reject entries from senders not on it
+ * @returns {*} Decrypted value
+ */
+export function decryptForMember(config) {
+  const { recipientWif, value, members = null } = config
+
+  if (!isNamespaceValue(value)) throw new Error('Not a namespace entry — plaintext is not accepted in a namespace')
+
+  const envelope = JSON.parse(Utils.toUTF8(Utils.toArray(value.slice(NAMESPACE_PREFIX.length), 'base64')))
+  if (members && !members.includes(envelope.s)) {
+    throw new Error(`Entry written by non-member ${envelope.s}`)
+  }
+
+  const self = PrivateKey.fromWif(recipientWif).toPublicKey().toString()
+  const encryptedHex = envelope.r[self]
+  if (!encryptedHex) throw new Error('Entry was not encrypted for this agent')
+
+  // BRC-78 ciphertext names its sender — make sure it's the one the envelope claims
+  if (Utils.toHex(Utils.toArray(encryptedHex, 'hex').slice(4, 37)) !== envelope.s) {
+    throw new Error('Entry sender does not match its ciphertext')
+  }
+
+  return decryptMessage({ recipientWif, encryptedHex, parseJson: true })
+}
+
+/**
+ * Check whether a value is a namespace token
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isNamespaceValue(value) {
+  return typeof value === 'string' && value.startsWith(NAMESPACE_PREFIX)
+}
@@ -0,0 +1,222 @@
+/**
+ * Payment Nonce Stores
+ *
+ * Replay protection for the payment middleware. Every 402 challenge
+ * issues a derivation prefix; a payment is only accepted if it names a
+ * prefix that was issued, hasn't expired and hasn't been used. Consuming
+ * a prefix removes it atomically, so a prefix pays for exactly one request
+ * — across restarts and server instances, depending on the store. Paying
+ * transactions are claimed by txid the same way, so one transaction can't
+ * pay against several challenges. Claims expire too, but only long after
+ * anything they guard could be replayed (see the gate's claimTtlMs), and a
+ * store that is full refuses new claims rather than forgetting old ones.
+ *
+ * Store interface (all async):
+ *   issue(prefix, challenge, ttlMs) — remember an issued challenge
+ *   consume(prefix) → challenge | null — take it, at most once
+ *   claim(key, ttlMs) → boolean — true the first time a key is claimed, false until
+ *     the claim expires (ttlMs omitted: never). Throws when the store is full
+ *
+ * MemoryNonceStore, FileNonceStore (a JSONL log, compacted as it grows) and
+ * RedisNonceStore (Redis 6.2+) — see stores.js for choosing one.
+ */
+
+import fs from 'fs'
+import { writeFileAtomic, appendJsonLine, redisCommand } from './stores.js'
+
+export class MemoryNonceStore {
+  /**
+   * @param {object} [config]
+   * @param {number} [config.maxEntries=100000] - Outstanding challenges kept before the oldest are dropped
+   * @param {number} [config.maxClaims=1000000] - Live claims kept — past that, claim() throws until some expire
+   */
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries || 100000
+    this.maxClaims = config.maxClaims || 1000000
+    this.entries = new Map()  // prefix → { challenge, expiresAt }, in issue order
+    this.claims = new Map()   // key → { expiresAt }, in claim order (expiresAt Infinity: never)
+  }
+
+  async issue(prefix, challenge, ttlMs) {
+    const now = Date.now()
+    pruneExpired(this.entries, now)
+    this.entries.set(prefix, { challenge, expiresAt: now + ttlMs })
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  async consume(prefix) {
+    const entry = this.entries.get(prefix)
+    if (!entry) return null
+    this.entries.delete(prefix)
+    return entry.expiresAt > Date.now() ? entry.challenge : null
+  }
+
+  async claim(key, ttlMs) {
+    const now = Date.now()
+    const existing = this.claims.get(key)
+    if (existing && existing.expiresAt > now) return false
+
+    // Forgetting a live claim would let its key be claimed again — refuse instead
+    pruneExpired(this.claims, now)
+    if (!existing && this.claims.size >= this.maxClaims) {
+      throw new Error(`Nonce store full: ${this.claims.size} live claims (maxClaims)`)
+    }
+    this.claims.delete(key)
+    this.claims.set(key, { expiresAt: claimExpiry(now, ttlMs) })
+    return true
+  }
+}
+
+export class FileNonceStore extends MemoryNonceStore {
+  /**
+   * Outstanding challenges in an append-only JSONL log — one process per file
+   *
+   * Log records (one JSON object per line):
+   *   { op: 'issue', prefix, challenge, expiresAt }
+   *   { op: 'consume', prefix }
+   *   { op: 'claim', key, expiresAt }  (expiresAt null: never)
+   *
+   * Replayed on startup. Once compactAfter records have been appended, the
+   * log is rewritten with only the claims and outstanding challenges.
+   *
+   * @param {object} config
+   * @param {string} config.path - JSONL file
+   * @param {number} [config.maxEntries=100000]
+   * @param {number} [config.maxClaims=1000000]
+   * @param {number} [config.compactAfter=10000] - Appended records between compactions
+   */
+  constructor(config) {
+    if (!config || !config.path) throw new Error('path required')
+    super(config)
+    this.path = config.path
+    this.compactAfter = config.compactAfter || 10000
+    this.records = 0  // appended since the last compaction
+
+    if (fs.existsSync(this.path)) {
+      for (const line of fs.readFileSync(this.path, 'utf8').split('\n')) {
+        if (!line.trim()) continue
+        let record
+        try {
+          record = JSON.parse(line)
+        } catch {
+          // A torn last line only loses one challenge — its payer asks again
+          continue
+        }
+        if (record.op === 'issue') this.entries.set(record.prefix, { challenge: record.challenge, expiresAt: record.expiresAt })
+        else if (record.op === 'consume') this.entries.delete(record.prefix)
+        else if (record.op === 'claim') {
+          this.claims.delete(record.key)
+          this.claims.set(record.key, { expiresAt: record.expiresAt ?? Infinity })
+        }
+        this.records++
+      }
+      pruneExpired(this.entries, Date.now())
+      pruneExpired(this.claims, Date.now())
+    }
+  }
+
+  async issue(prefix, challenge, ttlMs) {
+    await super.issue(prefix, challenge, ttlMs)
+    this._append({ op: 'issue', prefix, challenge, expiresAt: this.entries.get(prefix).expiresAt })
+  }
+
+  async consume(prefix) {
+    const known = this.entries.has(prefix)
+    const challenge = await super.consume(prefix)
+    if (known) this._append({ op: 'consume', prefix })
+    return challenge
+  }
+
+  async claim(key, ttlMs) {
+    const claimed = await super.claim(key, ttlMs)
+    if (claimed) this._append(claimRecord(key, this.claims.get(key)))
+    return claimed
+  }
+
+  /**
+   * Rewrite the log with only the claims and outstanding challenges
+   */
+  compact() {
+    pruneExpired(this.entries, Date.now())
+    pruneExpired(this.claims, Date.now())
+    const lines = [
+      ...[...this.claims].map(([key, claim]) => JSON.stringify(claimRecord(key, claim)) + '\n'),
+      ...[...this.entries].map(([prefix, entry]) =>
+        JSON.stringify({ op: 'issue', prefix, challenge: entry.challenge, expiresAt: entry.expiresAt }) + '\n'
+      )
+    ]
+
+    writeFileAtomic(this.path, lines.join(''))
+    this.records = lines.length
+  }
+
+  /**
+   * Internal: append one record, compacting when the log has grown
+   */
+  _append(record) {
+    appendJsonLine(this.path, record)
+    if (++this.records >= this.compactAfter + this.entries.size + this.claims.size) this.compact()
+  }
+}
+
+export class RedisNonceStore {
+  /**
+   * Outstanding challenges in Redis — shared by every middleware instance
+   * Uses SET PX for expiry, GETDEL for atomic consumption and SET NX PX for
+   * claims (Redis 6.2+). Size the instance's memory for the claims' TTL —
+   * a Redis that evicts keys (maxmemory-policy other than noeviction) can
+   * forget a claim early.
+   *
+   * @param {object} config
+   * @param {object} config.client - node-redis (sendCommand) or ioredis (call) client
+   * @param {string} [config.keyPrefix='indelible:nonce:'] - Key namespace
+   */
+  constructor(config) {
+    if (!config || !config.client) throw new Error('client required')
+    this.client = config.client
+    this.keyPrefix = config.keyPrefix || 'indelible:nonce:'
+  }
+
+  async issue(prefix, challenge, ttlMs) {
+    await redisCommand(this.client, ['SET', this.keyPrefix + prefix, JSON.stringify(challenge), 'PX', String(Math.ceil(ttlMs))])
+  }
+
+  async consume(prefix) {
+    const value = await redisCommand(this.client, ['GETDEL', this.keyPrefix + prefix])
+    return value ? JSON.parse(value) : null
+  }
+
+  async claim(key, ttlMs) {
+    const expiry = Number.isFinite(ttlMs) ? ['PX', String(Math.ceil(ttlMs))] : []
+    const reply = await redisCommand(this.client, ['SET', this.keyPrefix + key, '1', 'NX', ...expiry])
+    return reply === 'OK'
+  }
+}
+
+/**
+ * Internal: drop expired entries from the front of the issue order
+ * Entries issued with a longer TTL can shield later expired ones until they
+ * go too — consume() rejects those anyway.
+ */
+function pruneExpired(entries, now) {
+  for (const [prefix, entry] of entries) {
+    if (entry.expiresAt > now) break
+    entries.delete(prefix)
+  }
+}
+
+/**
+ * Internal: when a claim made now expires (Infinity without a finite ttlMs)
+ */
+function claimExpiry(now, ttlMs) {
+  return Number.isFinite(ttlMs) ? now + ttlMs : Infinity
+}
+
+/**
+ * Internal: the log record of a claim — JSON has no Infinity, so never is null
+ */
+function claimRecord(key, claim) {
+  return { op: 'claim', key, expiresAt: Number.isFinite(claim.expiresAt) ? claim.expiresAt : null }
+}
@@ -0,0 +1,278 @@
+/**
+ * Automatic 402 Payment Handling (client side of BRC-105)
+ *
+ * Wraps a fetch function so that HTTP 402 challenges from
+ * createIndeliblePaymentMiddleware are answered automatically:
+ *
+ * 1. Read x-bsv-payment-* and x-clawsats-fee-* headers from the 402
+ * 2. Check the spending policy (max sats per call, max sats per day)
+ * 3. Build the payment with a BRC-100 wallet (wallet.createAction):
+ *    output 0 pays the operator, output 1 pays the protocol fee
+ * 4. Retry the request with the x-bsv-payment header
+ * 5. Record the spend in a queryable ledger
+ */
+
+import fs from 'fs'
+import crypto from 'crypto'
+import nodeFetch from 'node-fetch'
+import { P2PKH, Utils } from '@bsv/sdk'
+import { deriveFeeLockingScript } from './fees.js'
+
+/**
+ * Create a spend ledger
+ *
+ * In-memory by default. With a path, every entry is appended to a JSONL
+ * file and reloaded on startup, so daily limits survive restarts. Updates
+ * append the entry again; on reload the last line for an id wins.
+ *
+ * Spends are recorded before any money moves (status 'reserved') and
+ * updated as the payment proceeds: 'signed', then the HTTP status of the
+ * paid retry, or 'unknown' if it never answered. Only 'failed' entries —
+ * the wallet signed nothing — don't count towards totals.
+ *
+ * @param {object} [config]
+ * @param {string} [config.path] - Optional JSONL file for persistence
+ * @returns {object} { record, update, entries, totalSpent, spentToday }
+ */
+export function createSpendLedger(config = {}) {
+  const { path = null } = config
+  const entries = []
+  const byId = new Map()
+
+  const load = (entry) => {
+    if (entry.id && byId.has(entry.id)) {
+      Object.assign(byId.get(entry.id), entry)
+      return
+    }
+    entries.push(entry)
+    if (entry.id) byId.set(entry.id, entry)
+  }
+
+  if (path && fs.existsSync(path)) {
+    for (const line of fs.readFileSync(path, 'utf8').split('\n')) {
+      if (line.trim()) load(JSON.parse(line))
+    }
+  }
+
+  const inRange = (entry, since, until) => {
+    const ts = new Date(entry.paidAt).getTime()
+    return ts >= (since ? new Date(since).getTime() : -Infinity) &&
+           ts <= (until ? new Date(until).getTime() : Infinity)
+  }
+
+  return {
+    /**
+     * Record a payment
+     * @param {object} entry - { txid, url, satoshis, feeSatoshis, totalSatoshis, status }
+     * @returns {object} The stored entry (with id and paidAt)
+     */
+    record(entry) {
+      const stored = { ...entry, id: entry.id || crypto.randomUUID(), paidAt: entry.paidAt || new Date().toISOString() }
+      load(stored)
+      if (path) fs.appendFileSync(path, JSON.stringify(stored) + '\n')
+      return stored
+    },
+
+    /**
+     * Update a recorded payment (txid, status)
+     * @param {string} id - Entry id from record()
+     * @param {object} changes - Fields to change
+     * @returns {object} The updated entry
+     */
+    update(id, changes) {
+      const stored = byId.get(id)
+      if (!stored) throw new Error(`Unknown spend ledger entry: ${id}`)
+      Object.assign(stored, changes, { id })
+      if (path) fs.appendFileSync(path, JSON.stringify(stored) + '\n')
+      return stored
+    },
+
+    /**
+     * Query recorded payments
+     * @param {object} [options] - { since, until, url } (url matches as a prefix)
+     * @returns {object[]}
+     */
+    entries(options = {}) {
+      const { since = null, until = null, url = null } = options
+      return entries.filter(e => inRange(e, since, until) && (!url || e.url.startsWith(url)))
+    },
+
+    /**
+     * Total sats spent (operator payment + protocol fee)
+     * @param {object} [options] - Same filters as entries()
+     * @returns {number}
+     */
+    totalSpent(options = {}) {
+      return this.entries(options).reduce((sum, e) => e.status === 'failed' ? sum : sum + e.totalSatoshis, 0)
+    },
+
+    /**
+     * Sats spent since midnight UTC
+     * @returns {number}
+     */
+    spentToday() {
+      const midnight = new Date()
+      midnight.setUTCHours(0, 0, 0, 0)
+      return this.totalSpent({ since: midnight.toISOString() })
+    }
+  }
+}
+
+/**
+ * Read a 402 challenge from response headers
+ *
+ * @param {object} headers - Fetch Headers (or any object with get())
+ * @returns {object} { satoshisRequired, derivationPrefix, address, fee: { satoshis, kid, derivationSuffix, identityKey } | null }
+ */
+export function readPaymentChallenge(headers) {
+  const satoshisRequired = parseInt(headers.get('x-bsv-payment-satoshis-required'))
+  const derivationPrefix = headers.get('x-bsv-payment-derivation-prefix')
+  const address = headers.get('x-bsv-payment-address')
+
+  if (!Number.isInteger(satoshisRequired) || satoshisRequired < 0) {
+    throw new Error('Invalid x-bsv-payment-satoshis-required header')
+  }
+  if (!derivationPrefix) throw new Error('Missing x-bsv-payment-derivation-prefix header')
+  if (!address) throw new Error('Missing x-bsv-payment-address header')
+
+  const feeSats = headers.get('x-clawsats-fee-satoshis-required')
+  const fee = feeSats
+    ? {
+        satoshis: parseInt(feeSats),
+        kid: headers.get('x-clawsats-fee-kid'),
+        derivationSuffix: headers.get('x-clawsats-fee-derivation-suffix'),
+        identityKey: headers.get('x-clawsats-fee-identity-key')
+      }
+    : null
+
+  return { satoshisRequired, derivationPrefix, address, fee }
+}
+
+/**
+ * Create a paying fetch client
+ *
+ * @param {object} config
+ * @param {object} config.wallet - BRC-100 wallet (createAction, getPublicKey)
+ * @param {number} [config.maxSatsPerCall=100] - Refuse any single challenge above this (operator + fee)
+ * @param {number} [config.maxSatsPerDay=10000] - Refuse payments once today's spend would exceed this
+ * @param {object} [config.ledger] - Spend ledger (default: createSpendLedger())
+ * @param {function} [config.fetch] - Underlying fetch (default: node-fetch)
+ * @returns {object} { fetch, ledger, wallet }
+ */
+export function createPaymentClient(config) {
+  const {
+    wallet,
+    maxSatsPerCall = 100,
+    maxSatsPerDay = 10000,
+    ledger = createSpendLedger(),
+    fetch = nodeFetch
+  } = config
+
+  if (!wallet || typeof wallet.createAction !== 'function') {
+    throw new Error('wallet required (BRC-100 interface with createAction)')
+  }
+
+  let identityKey = null
+
+  return {
+    ledger,
+    wallet,
+
+    /**
+     * fetch() that pays 402 challenges within the spending policy
+     *
+     * @param {string} url - Full URL
+     * @param {object} [options] - { method, headers, body }
+     * @param {function} [send] - Override the underlying fetch for this call
+     * @returns {Promise<Response>} The response to the (possibly paid) request
+     */
+    async fetch(url, options = {}, send = fetch) {
+      // Challenges are bound to the caller's identity key, so send it from
+      // the first request — the paid retry must match
+      if (!identityKey && typeof wallet.getPublicKey === 'function') {
+        identityKey = (await wallet.getPublicKey({ identityKey: true })).publicKey
+      }
+      const headers = {
+        ...(options.headers || {}),
+        ...(identityKey ? { 'x-bsv-identity-key': identityKey } : {})
+      }
+
+      const res = await send(url, { ...options, headers })
+      if (res.status !== 402) return res
+
+      const challenge = readPaymentChallenge(res.headers)
+      const feeSatoshis = challenge.fee ? challenge.fee.satoshis : 0
+      const totalSatoshis = challenge.satoshisRequired + feeSatoshis
+
+      if (totalSatoshis > maxSatsPerCall) {
+        throw new Error(`Payment of ${totalSatoshis} sats exceeds maxSatsPerCall (${maxSatsPerCall})`)
+      }
+      // Check and reserve with no await in between, so parallel calls count each other
+      const spentToday = ledger.spentToday()
+      if (spentToday + totalSatoshis > maxSatsPerDay) {
+        throw new Error(`Payment of ${totalSatoshis} sats exceeds maxSatsPerDay (${spentToday} of ${maxSatsPerDay} already spent)`)
+      }
+      const spend = ledger.record({
+        txid: null,
+        url,
+        satoshis: challenge.satoshisRequired,
+        feeSatoshis,
+        totalSatoshis,
+        status: 'reserved'
+      })
+
+      const outputs = [{
+        lockingScript: new P2PKH().lock(challenge.address).toHex(),
+        satoshis: challenge.satoshisRequired,
+        outputDescription: 'Indelible service payment'
+      }]
+      if (challenge.fee) {
+        outputs.push({
+          lockingScript: deriveFeeLockingScript({
+            derivationPrefix: challenge.derivationPrefix,
+            feeIdentityKey: challenge.fee.identityKey || undefined,
+            kid: challenge.fee.kid || undefined,
+            derivationSuffix: challenge.fee.derivationSuffix || undefined
+          }),
+          satoshis: feeSatoshis,
+          outputDescription: 'ClawSats protocol fee'
+        })
+      }
+
+      let action
+      try {
+        action = await wallet.createAction({
+          description: `Indelible payment: ${totalSatoshis} sats`,
+          outputs,
+          options: { randomizeOutputs: false } // middleware expects payment at output 0
+        })
+        if (!action.tx) throw new Error('Wallet did not return a signed transaction')
+      } catch (err) {
+        ledger.update(spend.id, { status: 'failed' })
+        throw err
+      }
+      ledger.update(spend.id, { txid: action.txid, status: 'signed' })
+
+      // From here the transaction exists — the spend stays counted whatever happens
+      let paid
+      try {
+        paid = await send(url, {
+          ...options,
+          headers: {
+            ...headers,
+            'x-bsv-payment': JSON.stringify({
+              derivationPrefix: challenge.derivationPrefix,
+              transaction: Utils.toBase64(action.tx)
+            })
+          }
+        })
+      } catch (err) {
+        ledger.update(spend.id, { status: 'unknown' })
+        throw err
+      }
+
+      ledger.update(spend.id, { status: paid.status })
+      return paid
+    }
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * Capability Pricing
+ *
+ * A pricing model maps each capability to a price — a fixed number of
+ * sats, or a function of the request:
+ *
+ *   ({ capability, params, messageCount, bytes, numSessions, reputation, identityKey, now }) => sats
+ *
+ * The same model backs the price registerIndelibleCapabilities quotes and
+ * the price createIndeliblePaymentMiddleware demands in its 402 challenge,
+ * so the registry and the paywall never disagree.
+ */
+
+import { PRICES, DEFAULT_NUM_SESSIONS } from './constants.js'
+
+// Every capability price — the protocol fee is paid on top, not quoted
+const DEFAULT_PRICES = Object.fromEntries(Object.entries(PRICES).filter(([name]) => name !== 'protocol_fee'))
+
+/**
+ * Create a pricing model
+ *
+ * @param {object} [config]
+ * @param {object} [config.prices] - { [capability]: sats | (input) => sats } — merged over the PRICES defaults
+ * @param {function} [config.reputation] - async (identityKey) => trust score (0-100) or null, e.g. from buildTrustScore
+ * @param {function} [config.resolveCapability] - (req) => capability name or null (default: req.body.capability,
+ *   else the last path segment if it names a priced capability)
+ * @param {number} [config.defaultPrice] - Sats for requests that don't resolve to a capability. Unset, calculatePrice
+ *   throws for them (the paywall answers 400) rather than letting them through free — set 0 to allow free routes
+ * @returns {object} { quote, basePrice, capabilityOf, calculatePrice, capabilities }
+ */
+export function createPricing(config = {}) {
+  const { prices = {}, reputation = null, resolveCapability = null, defaultPrice = null } = config
+  const table = { ...DEFAULT_PRICES, ...prices }
+  if (defaultPrice !== null) checkSats(defaultPrice, 'unresolved requests')
+
+  for (const [name, price] of Object.entries(table)) {
+    if (typeof price !== 'function') checkSats(price, name)
+  }
+
+  const priceFor = (capability, input) => {
+    const price = table[capability]
+    if (price === undefined) throw new Error(`No price for capability: ${capability}`)
+    return checkSats(typeof price === 'function' ? price(input) : price, capability)
+  }
+
+  const pricing = {
+    /**
+     * Quote a call
+     *
+     * @param {string} capability - Capability name
+     * @param {object} [params] - Call parameters
+     * @param {object} [context]
+     * @param {string} [context.identityKey] - Caller's identity public key (looked up with config.reputation)
+     * @param {number} [context.reputation] - Caller's trust score, if already known
+     * @param {Date} [context.now] - Quote time (default: now)
+     * @returns {Promise<number>} Price in sats
+     */
+    async quote(capability, params = {}, context = {}) {
+      const { identityKey = null, now = new Date() } = context
+      let score = context.reputation ?? null
+      if (score === null && identityKey && reputation) {
+        score = await reputation(identityKey)
+      }
+      return priceFor(capability, describeCall(capability, params, { identityKey, reputation: score, now }))
+    },
+
+    /**
+     * Starting price — the quote for an empty call by an unknown caller
+     * @param {string} capability
+     * @returns {number} Price in sats
+     */
+    basePrice(capability) {
+      return priceFor(capability, describeCall(capability, {}, { identityKey: null, reputation: null, now: new Date() }))
+    },
+
+    /**
+     * Capability an HTTP request calls, as calculatePrice resolves it
+     * @param {object} req - Express-style request
+     * @returns {string|null}
+     */
+    capabilityOf(req) {
+      return (resolveCapability ? resolveCapability(req) : defaultCapability(req, table)) || null
+    },
+
+    /**
+     * Price an HTTP request — pass as createIndeliblePaymentMiddleware's calculatePrice
+     * Requests that don't resolve to a capability cost defaultPrice, and
+     * without one are refused — a route the resolver misses must never be
+     * free by accident. Reputation is only
+     * looked up for an authenticated caller (req.auth.identityKey) — the
+     * x-bsv-identity-key header alone is a claim anyone can make.
+     *
+     * @param {object} req - Express-style request
+     * @returns {Promise<number>} Price in sats
+     */
+    async calculatePrice(req) {
+      const capability = pricing.capabilityOf(req)
+      if (!capability) {
+        if (defaultPrice !== null) return defaultPrice
+        const path = String(req.path || req.url || '').split('?')[0]
+        throw new Error(`No capability for ${req.method || 'request'} ${path} — pass resolveCapability, or a defaultPrice`)
+      }
+
+      const body = req.body || {}
+      const params = body.params && typeof body.params === 'object' ? body.params : body
+      const identityKey = (req.auth && req.auth.identityKey) || null
+      return pricing.quote(capability, params, { identityKey })
+    },
+
+    /** Names of priced capabilities */
+    capabilities: Object.keys(table)
+  }
+
+  return pricing
+}
+
+/**
+ * Linear price function
+ *
+ *   sats = base + perMessage·messages + perKilobyte·KB + perSession·sessions
+ *
+ * then discounted by reputation, multiplied during peak hours, clamped and
+ * rounded up to whole sats.
+ *
+ * @param {object} [config]
+ * @param {number} [config.base=0] - Sats per call
+ * @param {number} [config.perMessage=0] - Sats per message in params.messages
+ * @param {number} [config.perKilobyte=0] - Sats per started KB of payload
+ * @param {number} [config.perSession=0] - Sats per session requested (numSessions)
+ * @param {number} [config.reputationDiscount=0] - Discount fraction at a trust score of 100 (scales linearly)
+ * @param {number[]} [config.peakHours] - [startHour, endHour) in UTC, may wrap midnight
+ * @param {number} [config.peakMultiplier=1] - Price multiplier during peak hours
+ * @param {number} [config.min=0] - Minimum price
+ * @param {number} [config.max=Infinity] - Maximum price
+ * @returns {function} Price function for createPricing
+ */
+export function linearPrice(config = {}) {
+  const {
+    base = 0,
+    perMessage = 0,
+    perKilobyte = 0,
+    perSession = 0,
+    reputationDiscount = 0,
+    peakHours = null,
+    peakMultiplier = 1,
+    min = 0,
+    max = Infinity
+  } = config
+
+  if (reputationDiscount < 0 || reputationDiscount > 1) throw new Error('reputationDiscount must be between 0 and 1')
+  if (peakHours && (!Array.isArray(peakHours) || peakHours.length !== 2)) throw new Error('peakHours must be [startHour, endHour]')
+
+  return (input) => {
+    let sats = base +
+      perMessage * input.messageCount +
+      perKilobyte * Math.ceil(input.bytes / 1024) +
+      perSession * input.numSessions
+
+    if (reputationDiscount && input.reputation !== null) {
+      const score = Math.max(0, Math.min(100, input.reputation))
+      sats *= 1 - reputationDiscount * score / 100
+    }
+
+    if (peakHours && inHours(input.now.getUTCHours(), peakHours)) sats *= peakMultiplier
+
+    return Math.ceil(Math.min(max, Math.max(min, sats)))
+  }
+}
+
+/**
+ * Internal: the price function input for a call
+ */
+function describeCall(capability, params, context) {
+  const messages = Array.isArray(params.messages) ? params.messages : []
+  return {
+    capability,
+    params,
+    messageCount: messages.length,
+    bytes: Buffer.byteLength(JSON.stringify(params)),
+    numSessions: params.numSessions ?? (capability === 'load_context' ? DEFAULT_NUM_SESSIONS : 0),
+    reputation: context.reputation,
+    identityKey: context.identityKey,
+    now: context.now
+  }
+}
+
+/**
+ * Internal: req.body.capability, else a path ending in a priced capability name
+ */
+function defaultCapability(req, table) {
+  if (req.body && typeof req.body.capability === 'string') return req.body.capability
+  const path = String(req.path || req.url || '').split('?')[0]
+  const last = path.split('/').filter(Boolean).pop()
+  return last && Object.prototype.hasOwnProperty.call(table, last) ? last : null
+}
+
+function inHours(hour, [start, end]) {
+  return start <= end ? hour >= start && hour < end : hour >= start || hour < end
+}
+
+function checkSats(sats, capability) {
+  if (!Number.isInteger(sats) || sats < 0) {
+    throw new Error(`Price for ${capability} must be a non-negative integer of sats, got ${sats}`)
+  }
+  return sats
+}
@@ -0,0 +1,176 @@
+/**
+ * Signed Capability Receipts (BRC-77)
+ *
+ * Proof that an operator did paid work: after a capability call completes,
+ * the operator signs a receipt binding what was asked, what was paid and
+ * what was returned:
+ *
+ *   { capability, requestHash, responseHash, paymentTxid, satoshisPaid, caller, timestamp }
+ *
+ * Hashes are SHA-256 over canonical JSON (keys sorted), so the caller can
+ * recompute them from the params it sent and the response it got back.
+ * A verified receipt can back a work attestation (attestReceipt).
+ */
+
+import crypto from 'crypto'
+import { signAction, verifyAction } from './signing.js'
+import { createAttestation } from './reputation.js'
+
+const RECEIPT_ACTION = 'capability_receipt'
+const RECEIPT_VERSION = 1
+
+/**
+ * Hash a request or response the way receipts do
+ *
+ * @param {*} value - Any JSON-serializable value
+ * @returns {string} SHA-256 (hex) of its canonical JSON
+ */
+export function hashPayload(value) {
+  return crypto.createHash('sha256').update(canonicalJson(value)).digest('hex')
+}
+
+/**
+ * Sign a receipt for a completed capability call
+ *
+ * @param {object} config
+ * @param {string} config.signingWif - Operator identity private key (WIF)
+ * @param {string} config.capability - Capability that was called
+ * @param {*} config.request - Call params as received
+ * @param {*} config.response - Result returned to the caller (without the receipt)
+ * @param {object} [config.payment] - req.payment from the payment middleware ({ txid, satoshisPaid })
+ * @param {string} [config.caller] - Caller identity key, if known
+ * @returns {object} Receipt: { version, capability, requestHash, responseHash, paymentTxid, satoshisPaid,
+ *   caller, timestamp, publicKey, signature }
+ */
+export function createReceipt(config) {
+  const { signingWif, capability, request, response, payment = null, caller = null } = config
+
+  if (!signingWif) throw new Error('signingWif required')
+  if (!capability) throw new Error('capability required')
+
+  const payload = receiptPayload({
+    version: RECEIPT_VERSION,
+    capability,
+    requestHash: hashPayload(request),
+    responseHash: hashPayload(response),
+    paymentTxid: (payment && payment.txid) || null,
+    satoshisPaid: (payment && payment.satoshisPaid) || 0,
+    caller
+  })
+
+  const signed = signAction({ privateKeyWif: signingWif, action: RECEIPT_ACTION, payload })
+
+  return {
+    ...payload,
+    timestamp: signed.timestamp,
+    publicKey: signed.publicKey,
+    signature: signed.signature
+  }
+}
+
+/**
+ * Verify a receipt
+ * Always checks the signature; checks request, response and payment only
+ * when they are given.
+ *
+ * @param {object} receipt - Receipt from createReceipt
+ * @param {object} [options]
+ * @param {*} [options.request] - Params the caller sent
+ * @param {*} [options.response] - Response the caller got (receipt field removed)
+ * @param {string} [options.paymentTxid] - Txid of the caller's payment
+ * @param {string} [options.expectedPublicKey] - Require this operator key as signer
+ * @returns {object} { valid, errors, signerPubKey }
+ */
+export function verifyReceipt(receipt, options = {}) {
+  const { expectedPublicKey = null } = options
+  const errors = []
+
+  if (!receipt || !receipt.signature) throw new Error('receipt required')
+  if (receipt.version !== RECEIPT_VERSION) throw new Error(`Unsupported receipt version: ${receipt.version}`)
+
+  const sig = verifyAction({
+    signature: receipt.signature,
+    action: RECEIPT_ACTION,
+    timestamp: receipt.timestamp,
+    payload: receiptPayload(receipt),
+    expectedPublicKey: expectedPublicKey || receipt.publicKey
+  })
+  if (!sig.identityBound) {
+    errors.push(expectedPublicKey ? `Receipt is not signed by ${expectedPublicKey}` : 'Receipt signer does not match its publicKey')
+  } else if (!sig.valid) {
+    errors.push('Receipt signature is invalid')
+  }
+
+  if (options.request !== undefined && hashPayload(options.request) !== receipt.requestHash) {
+    errors.push('Request does not match the receipt')
+  }
+  if (options.response !== undefined && hashPayload(options.response) !== receipt.responseHash) {
+    errors.push('Response does not match the receipt')
+  }
+  if (options.paymentTxid && options.paymentTxid !== receipt.paymentTxid) {
+    errors.push('Payment txid does not match the receipt')
+  }
+
+  return { valid: errors.length === 0, errors, signerPubKey: sig.signerPubKey }
+}
+
+/**
+ * Attest to an operator's work from a receipt
+ * The receipt is verified first; the attestation names its capability and
+ * references the receipt signature.
+ *
+ * @param {object} config
+ * @param {string} config.signerWif - Attesting caller's private key (WIF)
+ * @param {object} config.receipt - Receipt from the operator
+ * @param {number} config.rating - Quality rating 1-5
+ * @param {string} [config.notes] - Extra notes (default: the receipt reference)
+ * @param {object} [config.verify] - verifyReceipt options (request, response, paymentTxid)
+ * @returns {Promise<object>} { attestation, serialized } from createAttestation
+ */
+export async function attestReceipt(config) {
+  const { signerWif, receipt, rating, notes = null, verify = {} } = config
+
+  const check = verifyReceipt(receipt, verify)
+  if (!check.valid) throw new Error(`Invalid receipt: ${check.errors.join('; ')}`)
+
+  const reference = `receipt ${hashPayload(receipt.signature)}${receipt.paymentTxid ? ` tx ${receipt.paymentTxid}` : ''}`
+
+  return createAttestation({
+    signerWif,
+    agentPubKey: check.signerPubKey,
+    capability: receipt.capability,
+    rating,
+    notes: notes ? `${reference} — ${notes}` : reference
+  })
+}
+
+/**
+ * Internal: the signed fields of a receipt, in a fixed order
+ */
+function receiptPayload(receipt) {
+  return {
+    version: receipt.version,
+    capability: receipt.capability,
+    requestHash: receipt.requestHash,
+    responseHash: receipt.responseHash,
+    paymentTxid: receipt.paymentTxid,
+    satoshisPaid: receipt.satoshisPaid,
+    caller: receipt.caller
+  }
+}
+
+/**
+ * Internal: JSON with object keys sorted at every level
+ */
+function canonicalJson(value) {
+  if (value === undefined) return 'null'
+  return JSON.stringify(value, (key, val) => {
+    if (val && typeof val === 'object' && !Array.isArray(val)) {
+      return Object.keys(val).sort().reduce((sorted, k) => {
+        sorted[k] = val[k]
+        return sorted
+      }, {})
+    }
+    return val
+  })
+}
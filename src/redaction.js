@@ -0,0 +1,250 @@
+/**
+ * Redaction & Forget Policies
+ *
+ * Chain data is permanent, so sensitive content has to be stopped before
+ * it is saved. A redaction pipeline runs over every message first:
+ *
+ * - Redactors rewrite text: built-in PII (emails, phone numbers, card
+ *   numbers, SSNs) and secrets (WIF private keys, API keys, bearer tokens,
+ *   PEM private keys), any regex, or any custom (text, message) => text
+ * - Per-role rules: 'keep' a role untouched, 'drop' it entirely, or give
+ *   it its own redactor list
+ * - Every string in a message is covered — plain content, text blocks and
+ *   structured blocks such as tool_use input — and so is the save's summary
+ *
+ * Content that was already saved can't be deleted, but it can be
+ * forgotten: a tombstone session names the forgotten sessions, and the
+ * bridge skips them (and the tombstone itself) on load and search.
+ */
+
+import { PrivateKey } from '@bsv/sdk'
+
+/** Tombstone sessions carry this prefix in their summary */
+export const TOMBSTONE_PREFIX = 'indelible:forget '
+
+/**
+ * Create a redactor from a regular expression
+ *
+ * @param {string} name - Reported in redaction counts
+ * @param {RegExp} pattern - Global regex of text to redact
+ * @param {object} [options]
+ * @param {string} [options.replacement] - Replacement text (default: [REDACTED:<name>])
+ * @param {function} [options.validate] - (match) => boolean — only redact matches that pass
+ * @returns {object} { name, redact(text) → { text, count } }
+ */
+export function regexRedactor(name, pattern, options = {}) {
+  const { replacement = `[REDACTED:${name}]`, validate = null } = options
+  if (!(pattern instanceof RegExp) || !pattern.global) throw new Error('pattern must be a global RegExp')
+
+  return {
+    name,
+    redact(text) {
+      let count = 0
+      const result = text.replace(pattern, (match) => {
+        if (validate && !validate(match)) return match
+        count++
+        return replacement
+      })
+      return { text: result, count }
+    }
+  }
+}
+
+/**
+ * Personal data redactor
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.include] - Subset of 'email', 'phone', 'card', 'ssn' (default: all)
+ * @returns {object[]} Redactors
+ */
+export function piiRedactors(options = {}) {
+  const { include = ['email', 'phone', 'card', 'ssn'] } = options
+  const all = {
+    email: () => regexRedactor('email', /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi),
+    // Card numbers first — they'd otherwise look like phone numbers
+    card: () => regexRedactor('card', /\b\d(?:[ -]?\d){12,18}\b/g, { validate: luhn }),
+    ssn: () => regexRedactor('ssn', /\b\d{3}-\d{2}-\d{4}\b/g),
+    phone: () => regexRedactor('phone', /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g)
+  }
+  return ['email', 'card', 'ssn', 'phone'].filter(name => include.includes(name)).map(name => all[name]())
+}
+
+/**
+ * Secret redactor — private keys and credentials
+ * WIF candidates are only redacted if they decode as a valid key, so
+ * addresses and txids are left alone.
+ *
+ * @returns {object[]} Redactors
+ */
+export function secretRedactors() {
+  return [
+    regexRedactor('private-key', /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g),
+    regexRedactor('wif', /\b[5KLc9][1-9A-HJ-NP-Za-km-z]{50,51}\b/g, { validate: isWif }),
+    regexRedactor('api-key', /\b(?:sk-(?:ant-)?[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abposr]-[A-Za-z0-9-]{10,})\b/g),
+    regexRedactor('bearer', /\bBearer\s+[A-Za-z0-9._~+/-]{16,}=*/g)
+  ]
+}
+
+/**
+ * Create a pre-save redaction pipeline
+ *
+ * @param {object} [config]
+ * @param {Array} [config.redactors] - Redactor objects and/or (text, message) => text functions
+ *   (default: secretRedactors() + piiRedactors())
+ * @param {object} [config.roles] - Per-role rule: 'keep' | 'drop' | redactor array
+ *   e.g. { system: 'keep', tool: 'drop', user: [...piiRedactors()] }
+ * @returns {object} { apply(messages, options) → { messages, summary, report: { redacted, dropped, matches } } }
+ */
+export function createRedactionPipeline(config = {}) {
+  const { redactors = [...secretRedactors(), ...piiRedactors()], roles = {} } = config
+
+  for (const [role, rule] of Object.entries(roles)) {
+    if (rule !== 'keep' && rule !== 'drop' && !Array.isArray(rule)) {
+      throw new Error(`Invalid redaction rule for role ${role}: ${rule}`)
+    }
+  }
+
+  return {
+    /**
+     * Redact and filter messages (and the summary saved with them)
+     * The summary goes through the default redactors, whatever the role rules.
+     *
+     * @param {object[]} messages
+     * @param {object} [options]
+     * @param {string} [options.summary] - Session summary to redact too
+     * @returns {object} { messages, summary, report: { redacted, dropped, matches: { [redactorName]: count }, summaryRedacted } }
+     */
+    apply(messages, options = {}) {
+      const report = { redacted: 0, dropped: 0, matches: {} }
+      const out = []
+
+      const redactWith = (rule, msg) => {
+        let changed = false
+        const redactText = (text) => {
+          for (const redactor of rule) {
+            const { text: next, count } = runRedactor(redactor, text, msg)
+            if (count) {
+              const name = redactor.name || 'custom'
+              report.matches[name] = (report.matches[name] || 0) + count
+              changed = true
+            }
+            text = next
+          }
+          return text
+        }
+        return { redactText, changed: () => changed }
+      }
+
+      for (const msg of messages) {
+        const rule = roles[msg.role] || redactors
+        if (rule === 'drop') {
+          report.dropped++
+          continue
+        }
+        if (rule === 'keep') {
+          out.push(msg)
+          continue
+        }
+
+        const { redactText, changed } = redactWith(rule, msg)
+        out.push({ ...msg, content: mapText(msg.content, redactText) })
+        if (changed()) report.redacted++
+      }
+
+      let summary = options.summary
+      if (typeof summary === 'string') {
+        const { redactText, changed } = redactWith(redactors, { role: 'summary', content: summary })
+        summary = redactText(summary)
+        if (changed()) report.summaryRedacted = true
+      }
+
+      return { messages: out, summary, report }
+    }
+  }
+}
+
+/**
+ * Build a tombstone session that forgets other sessions
+ *
+ * @param {string[]} sessionIds - Sessions to forget
+ * @param {string} [reason] - Why (kept in the tombstone)
+ * @returns {object} { summary, messages }
+ */
+export function createTombstone(sessionIds, reason = null) {
+  const tombstone = { sessionIds, reason, forgottenAt: new Date().toISOString() }
+  return {
+    summary: TOMBSTONE_PREFIX + JSON.stringify(tombstone),
+    messages: [{ role: 'system', content: TOMBSTONE_PREFIX + JSON.stringify(tombstone) }]
+  }
+}
+
+/**
+ * Read a tombstone from a session (or session listing)
+ *
+ * @param {object} session - Anything with a (decrypted) summary
+ * @returns {object|null} { sessionIds, reason, forgottenAt } or null if not a tombstone
+ */
+export function readTombstone(session) {
+  const summary = session && session.summary
+  if (typeof summary !== 'string' || !summary.startsWith(TOMBSTONE_PREFIX)) return null
+  try {
+    const tombstone = JSON.parse(summary.slice(TOMBSTONE_PREFIX.length))
+    return Array.isArray(tombstone.sessionIds) ? tombstone : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Internal: run a redactor object or function
+ */
+function runRedactor(redactor, text, msg) {
+  if (typeof redactor === 'function') {
+    const next = redactor(text, msg)
+    return { text: next, count: next === text ? 0 : 1 }
+  }
+  return redactor.redact(text)
+}
+
+/**
+ * Internal: apply fn to every string in message content — plain strings,
+ * text blocks, and anything nested in structured blocks (tool_use input,
+ * tool results). Keys and non-string values are left as they are.
+ */
+function mapText(content, fn) {
+  if (typeof content === 'string') return fn(content)
+  if (Array.isArray(content)) return content.map(item => mapText(item, fn))
+  if (content && typeof content === 'object') {
+    return Object.fromEntries(Object.entries(content).map(([key, value]) => [key, mapText(value, fn)]))
+  }
+  return content
+}
+
+/**
+ * Luhn checksum — filters card-number false positives
+ */
+function luhn(match) {
+  const digits = match.replace(/\D/g, '')
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      d *= 2
+      if (d > 9) d -= 9
+    }
+    sum += d
+  }
+  return sum % 10 === 0
+}
+
+/**
+ * Whether a string decodes as a WIF private key
+ */
+function isWif(match) {
+  try {
+    PrivateKey.fromWif(match)
+    return true
+  } catch {
+    return false
+  }
+}
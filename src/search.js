@@ -0,0 +1,208 @@
+/**
+ * Memory Search Index
+ *
+ * Ranks past messages by relevance to a query so an agent can recall a
+ * fact from 50 sessions ago without restoring everything.
+ *
+ * Two ranking modes:
+ * - Embeddings: pass embed(texts) → number[][] (any model) — cosine similarity
+ * - Lexical (default): Okapi BM25 over message text — no model needed
+ *
+ * The index is plain JSON, persisted next to the agent, and can always be
+ * rebuilt from the chain (list + load) if the file is lost.
+ */
+
+import fs from 'fs'
+import path from 'path'
+
+const INDEX_VERSION = 1
+
+// BM25 tuning — standard defaults
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+
+/**
+ * Split text into lowercase word tokens (unicode letters and digits)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+}
+
+/**
+ * Coerce message content to searchable text
+ * @param {*} content
+ * @returns {string}
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content
+  if (Array.isArray(content)) {
+    return content.map(b => (b && typeof b.text === 'string') ? b.text : JSON.stringify(b)).join('\n')
+  }
+  return JSON.stringify(content)
+}
+
+export class MemoryIndex {
+  /**
+   * @param {object} [config]
+   * @param {function} [config.embed] - async (texts: string[]) => number[][] — enables embedding search
+   */
+  constructor(config = {}) {
+    this.embed = config.embed || null
+    this.sessions = new Set() // indexed session ids
+    this.docs = []            // [{ sessionId, messageIndex, role, content, createdAt, txIds, tokens, vector }]
+  }
+
+  /**
+   * Load a persisted index, or return an empty one if the file is missing,
+   * unreadable, or was built in a different mode (lexical vs embedding)
+   *
+   * @param {string} filePath - Index JSON path
+   * @param {object} [config] - Same as constructor
+   * @returns {MemoryIndex}
+   */
+  static load(filePath, config = {}) {
+    const index = new MemoryIndex(config)
+    if (!fs.existsSync(filePath)) return index
+
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      if (data.version !== INDEX_VERSION || data.embedding !== Boolean(index.embed)) return index
+
+      index.sessions = new Set(data.sessions)
+      index.docs = data.docs
+    } catch {
+      // Corrupt index — start fresh, it will be rebuilt from the chain
+    }
+    return index
+  }
+
+  /**
+   * Persist the index as JSON
+   * @param {string} filePath
+   */
+  save(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, JSON.stringify({
+      version: INDEX_VERSION,
+      embedding: Boolean(this.embed),
+      sessions: [...this.sessions],
+      docs: this.docs
+    }))
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {boolean} Whether the session is already indexed
+   */
+  hasSession(sessionId) {
+    return this.sessions.has(sessionId)
+  }
+
+  /**
+   * Index every message of a structured session (from loadSessions)
+   *
+   * @param {object} session - { sessionId, txIds, createdAt, messages }
+   */
+  async addSession(session) {
+    if (this.sessions.has(session.sessionId)) return
+
+    const docs = session.messages.map((msg, i) => {
+      const content = contentText(msg.content)
+      return {
+        sessionId: session.sessionId,
+        messageIndex: i,
+        role: msg.role,
+        content,
+        createdAt: msg.timestamp || session.createdAt || null,
+        txIds: session.txIds || [],
+        tokens: tokenize(content)
+      }
+    })
+
+    if (this.embed && docs.length) {
+      const vectors = await this.embed(docs.map(d => d.content))
+      docs.forEach((d, i) => { d.vector = vectors[i] })
+    }
+
+    this.docs.push(...docs)
+    this.sessions.add(session.sessionId)
+  }
+
+  /**
+   * Rank indexed messages against a query
+   *
+   * @param {string} query - Natural language query
+   * @param {object} [options]
+   * @param {number} [options.topK=5] - Number of results
+   * @param {string[]} [options.sessionIds] - Restrict to these sessions
+   * @returns {Promise<object[]>} [{ score, sessionId, messageIndex, role, content, createdAt, txIds }]
+   */
+  async search(query, options = {}) {
+    const { topK = 5, sessionIds = null } = options
+    const scope = sessionIds ? new Set(sessionIds) : null
+    const docs = scope ? this.docs.filter(d => scope.has(d.sessionId)) : this.docs
+
+    if (!docs.length) return []
+
+    const scores = this.embed
+      ? await this._scoreEmbedding(query, docs)
+      : this._scoreBM25(query, docs)
+
+    return docs
+      .map((d, i) => ({ doc: d, score: scores[i] }))
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ doc, score }) => ({
+        score: Math.round(score * 1000) / 1000,
+        sessionId: doc.sessionId,
+        messageIndex: doc.messageIndex,
+        role: doc.role,
+        content: doc.content,
+        createdAt: doc.createdAt,
+        txIds: doc.txIds
+      }))
+  }
+
+  /**
+   * Internal: Okapi BM25 scores for each doc
+   */
+  _scoreBM25(query, docs) {
+    const terms = [...new Set(tokenize(query))]
+    const avgLen = docs.reduce((sum, d) => sum + d.tokens.length, 0) / docs.length || 1
+
+    const idf = {}
+    for (const term of terms) {
+      const df = docs.filter(d => d.tokens.includes(term)).length
+      idf[term] = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5))
+    }
+
+    return docs.map(d => {
+      let score = 0
+      for (const term of terms) {
+        const tf = d.tokens.filter(t => t === term).length
+        if (!tf) continue
+        score += idf[term] * (tf * (BM25_K1 + 1)) /
+          (tf + BM25_K1 * (1 - BM25_B + BM25_B * d.tokens.length / avgLen))
+      }
+      return score
+    })
+  }
+
+  /**
+   * Internal: cosine similarity between the query embedding and each doc
+   */
+  async _scoreEmbedding(query, docs) {
+    const [q] = await this.embed([query])
+    const norm = v => Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1
+    const qNorm = norm(q)
+
+    return docs.map(d => {
+      if (!d.vector) return 0
+      const dot = d.vector.reduce((s, x, i) => s + x * q[i], 0)
+      return dot / (norm(d.vector) * qNorm)
+    })
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * SPV Payment Verification
+ *
+ * A payment transaction on its own proves nothing — its inputs could be
+ * invented. Delivered as BEEF/AtomicBEEF (BRC-62/BRC-95) it carries its
+ * ancestry, so the receiver can check every unlocking script back to
+ * ancestors with merkle proofs, and check those proofs against block
+ * headers through a ChainTracker ({ isValidRootForHeight, currentHeight }).
+ *
+ * HeadersFileChainTracker answers from a local headers file, for offline
+ * use and tests; anything implementing the @bsv/sdk ChainTracker
+ * interface (WhatsOnChain, Block Headers Service) works in its place.
+ */
+
+import fs from 'fs'
+import { Utils } from '@bsv/sdk'
+
+const HEADER_BYTES = 80
+
+export class HeadersFileChainTracker {
+  /**
+   * @param {object} config
+   * @param {string} config.path - Headers file: raw 80-byte block headers back to back (one per height),
+   *   or .json — [{ height, merkleRoot }] or { [height]: merkleRoot }
+   * @param {number} [config.startHeight=0] - Height of the first header in a raw headers file
+   */
+  constructor(config) {
+    if (!config || !config.path) throw new Error('path required')
+    this.startHeight = config.startHeight || 0
+    this.roots = null     // JSON files: height → merkle root
+    this.headers = null   // raw files: the file itself, read on demand
+
+    if (config.path.endsWith('.json')) {
+      const data = JSON.parse(fs.readFileSync(config.path, 'utf8'))
+      const entries = Array.isArray(data)
+        ? data.map(h => [Number(h.height), h.merkleRoot])
+        : Object.entries(data).map(([height, root]) => [Number(height), root])
+      this.roots = new Map(entries.map(([height, root]) => [height, String(root).toLowerCase()]))
+    } else {
+      this.headers = fs.readFileSync(config.path)
+      if (this.headers.length % HEADER_BYTES !== 0) throw new Error('Headers file length is not a multiple of 80 bytes')
+    }
+  }
+
+  /**
+   * @param {string} root - Merkle root (hex, display byte order)
+   * @param {number} height - Block height
+   * @returns {Promise<boolean>}
+   */
+  async isValidRootForHeight(root, height) {
+    const known = this._rootAt(height)
+    return known !== null && known === String(root).toLowerCase()
+  }
+
+  /** @returns {Promise<number>} Height of the last known header */
+  async currentHeight() {
+    if (this.roots) return this.roots.size ? Math.max(...this.roots.keys()) : 0
+    return this.startHeight + this.headers.length / HEADER_BYTES - 1
+  }
+
+  _rootAt(height) {
+    if (this.roots) return this.roots.get(height) || null
+
+    const offset = (height - this.startHeight) * HEADER_BYTES
+    if (!Number.isInteger(offset) || offset < 0 || offset + HEADER_BYTES > this.headers.length) return null
+    // Headers store the merkle root little-endian at bytes 36-68
+    return Utils.toHex([...this.headers.subarray(offset + 36, offset + 68)].reverse())
+  }
+}
+
+/**
+ * SPV-verify a payment transaction and its ancestry
+ *
+ * @param {Transaction} tx - Payment transaction parsed from BEEF (inputs carry sourceTransaction)
+ * @param {object} config
+ * @param {object} config.chainTracker - ChainTracker for merkle proofs
+ * @param {boolean} [config.allowUnconfirmed=false] - Accept inputs from unmined ancestors (verified back to
+ *   mined ones). When false, every input must spend an output of a transaction with a merkle proof
+ * @returns {Promise<object>} { valid, code, error } — code is null when valid
+ */
+export async function verifyPaymentTransaction(tx, config) {
+  const { chainTracker, allowUnconfirmed = false } = config
+  if (!chainTracker) throw new Error('chainTracker required')
+
+  if (!hasAncestry(tx)) {
+    return { valid: false, code: 'ERR_BEEF_REQUIRED', error: 'Payment carries no ancestry — send it as BEEF or AtomicBEEF' }
+  }
+
+  if (!allowUnconfirmed && !tx.merklePath) {
+    const unconfirmed = tx.inputs.findIndex(input => !input.sourceTransaction.merklePath)
+    if (unconfirmed !== -1) {
+      return {
+        valid: false,
+        code: 'ERR_UNCONFIRMED_ANCESTOR',
+        error: `Input ${unconfirmed} spends unconfirmed transaction ${tx.inputs[unconfirmed].sourceTransaction.id('hex')}`
+      }
+    }
+  }
+
+  try {
+    const valid = await tx.verify(chainTracker)
+    return valid
+      ? { valid: true, code: null, error: null }
+      : { valid: false, code: 'ERR_SPV_FAILED', error: 'An input script does not validate' }
+  } catch (err) {
+    return { valid: false, code: 'ERR_SPV_FAILED', error: err.message }
+  }
+}
+
+/**
+ * Whether a parsed transaction brings what SPV needs: its own merkle proof,
+ * or a source transaction for every input
+ * @param {Transaction} tx
+ * @returns {boolean}
+ */
+export function hasAncestry(tx) {
+  if (tx.merklePath) return true
+  return tx.inputs.length > 0 && tx.inputs.every(input => typeof input.sourceTransaction === 'object' && input.sourceTransaction !== null)
+}
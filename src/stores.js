@@ -0,0 +1,53 @@
+/**
+ * Store Helpers
+ *
+ * Nonces, ledger entries and credit balances come in the same store
+ * variants — pick by how many processes must see the same state:
+ *
+ * - Memory*: one process, lost on restart
+ * - File*:   one host, survives restarts; one process per file
+ * - Redis*:  shared by every instance (node-redis or ioredis client)
+ *
+ * The helpers below are shared by the File and Redis variants.
+ */
+
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Replace a file in one step — write a temp file, then rename it over the
+ * old one, so a crash leaves either the old or the new contents
+ *
+ * @param {string} file - Destination path (parent directories are created)
+ * @param {string} data - New contents
+ */
+export function writeFileAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const tmp = `${file}.tmp`
+  fs.writeFileSync(tmp, data)
+  fs.renameSync(tmp, file)
+}
+
+/**
+ * Append one JSON record as a line of a JSONL file
+ *
+ * @param {string} file - JSONL path (parent directories are created)
+ * @param {object} record
+ */
+export function appendJsonLine(file, record) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.appendFileSync(file, JSON.stringify(record) + '\n')
+}
+
+/**
+ * Send one command to a Redis client
+ *
+ * @param {object} client - node-redis (sendCommand) or ioredis (call) client
+ * @param {string[]} args - Command and arguments, e.g. ['GET', key]
+ * @returns {Promise<*>} The reply
+ */
+export function redisCommand(client, args) {
+  if (typeof client.sendCommand === 'function') return client.sendCommand(args)
+  if (typeof client.call === 'function') return client.call(...args)
+  throw new Error('Redis client must support sendCommand() or call()')
+}
@@ -0,0 +1,180 @@
+/**
+ * Capability Input Validation
+ *
+ * Guards paid capability handlers before anything reaches storage:
+ *
+ * - validateSchema: a JSON Schema subset (type, required, properties,
+ *   additionalProperties, items, minItems/maxItems, minLength/maxLength,
+ *   minimum/maximum, enum, pattern, anyOf) — the same schemas are
+ *   published to the registry so callers can introspect them
+ * - createRateLimiter: per-caller token buckets
+ * - CapabilityError: errors with a stable code for callers to branch on
+ *
+ * Error codes:
+ *   ERR_INVALID_PARAMS    — params don't match the capability's schema
+ *   ERR_PAYLOAD_TOO_LARGE — serialized params exceed the size limit
+ *   ERR_RATE_LIMITED      — caller exceeded its request budget (details.retryAfterMs)
+ *   ERR_UNAUTHENTICATED   — no authenticated caller (capabilities.js)
+ *   ERR_FORBIDDEN         — caller doesn't own the agentAddress and isn't allow-listed for it (capabilities.js)
+ */
+
+export class CapabilityError extends Error {
+  /**
+   * @param {string} code - ERR_* code
+   * @param {string} message - Human-readable description
+   * @param {object} [details] - Extra structured data (schema errors, limits, retry delay)
+   */
+  constructor(code, message, details = {}) {
+    super(message)
+    this.name = 'CapabilityError'
+    this.code = code
+    this.details = details
+  }
+
+  toJSON() {
+    return { status: 'error', code: this.code, description: this.message, ...this.details }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema (subset)
+ *
+ * @param {object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {string} [path='params'] - Name of the value in error paths
+ * @returns {object[]} Errors: [{ path, message }] — empty when valid
+ */
+export function validateSchema(schema, value, path = 'params') {
+  const errors = []
+  check(schema, value, path, errors)
+  return errors
+}
+
+/**
+ * Create a per-caller rate limiter (token bucket)
+ * Each caller may burst up to `limit` calls, refilled evenly over `windowMs`.
+ *
+ * @param {object} [config]
+ * @param {number} [config.limit=60] - Calls per window
+ * @param {number} [config.windowMs=60000] - Window length
+ * @returns {object} { check(caller) → { allowed, remaining, retryAfterMs }, reset(caller) }
+ */
+export function createRateLimiter(config = {}) {
+  const { limit = 60, windowMs = 60000 } = config
+  if (!Number.isInteger(limit) || limit < 1) throw new Error('limit must be a positive integer')
+  if (!(windowMs > 0)) throw new Error('windowMs must be positive')
+
+  const refillPerMs = limit / windowMs
+  const buckets = new Map()  // caller → { tokens, updatedAt }
+
+  return {
+    check(caller) {
+      const now = Date.now()
+      const bucket = buckets.get(caller) || { tokens: limit, updatedAt: now }
+      bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+      bucket.updatedAt = now
+
+      // Re-insert so the Map stays ordered by last use, then drop idle callers
+      buckets.delete(caller)
+      buckets.set(caller, bucket)
+      cleanupBuckets(buckets, now - windowMs)
+
+      if (bucket.tokens < 1) {
+        return { allowed: false, remaining: 0, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) }
+      }
+      bucket.tokens -= 1
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 }
+    },
+
+    reset(caller) {
+      buckets.delete(caller)
+    }
+  }
+}
+
+/**
+ * Internal: recursive schema check
+ */
+function check(schema, value, path, errors) {
+  if (!schema || typeof schema !== 'object') return
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validateSchema(option, value, path).length === 0)
+    if (!matches) errors.push({ path, message: 'does not match any allowed shape' })
+    return
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(type => isType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` })
+      return
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` })
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` })
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` })
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` })
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` })
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` })
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` })
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` })
+      return  // don't walk an oversized array
+    }
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors))
+  }
+
+  if (isType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' })
+    }
+    const properties = schema.properties || {}
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) check(properties[key], child, `${path}.${key}`, errors)
+      else if (schema.additionalProperties === false) errors.push({ path: `${path}.${key}`, message: 'is not allowed' })
+    }
+  }
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string'
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    case 'integer': return Number.isInteger(value)
+    case 'boolean': return typeof value === 'boolean'
+    case 'array': return Array.isArray(value)
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value)
+    case 'null': return value === null
+    default: return false
+  }
+}
+
+/**
+ * Internal: drop buckets untouched for a full window (they'd be full again anyway)
+ */
+function cleanupBuckets(buckets, idleBefore) {
+  for (const [caller, bucket] of buckets) {
+    if (bucket.updatedAt >= idleBefore) break
+    buckets.delete(caller)
+  }
+}
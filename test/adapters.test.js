@@ -0,0 +1,201 @@
+/**
+ * Payment gate adapters — the same 402 cases through every framework
+ *
+ * Each adapter is driven with stubbed framework objects and its answer
+ * normalized to { status, headers, body, payment }, so one set of cases
+ * covers Express, Fastify, Koa, Hono and node:http.
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { PrivateKey, Transaction, P2PKH } from '@bsv/sdk'
+import { createIndeliblePaymentMiddleware } from '../src/middleware.js'
+import {
+  createFastifyPaymentHook,
+  createKoaPaymentMiddleware,
+  createHonoPaymentMiddleware,
+  createNodePaymentHandler
+} from '../src/adapters.js'
+
+const PRICE = 50
+const operatorAddress = PrivateKey.fromRandom().toAddress()
+
+// Each driver: config → async ({ method, url, headers, body }) → { status, headers, body, payment }
+const drivers = {
+  express(config) {
+    const middleware = createIndeliblePaymentMiddleware(config)
+    return async (request) => {
+      const req = { ...request, originalUrl: request.url }
+      const out = { status: null, headers: {}, body: null, payment: null }
+      const res = {
+        set(name, value) { out.headers[name] = value; return res },
+        status(code) { out.status = code; return res },
+        json(body) { out.body = body; return res }
+      }
+      await middleware(req, res, () => { out.payment = req.payment })
+      return out
+    }
+  },
+
+  fastify(config) {
+    const hook = createFastifyPaymentHook(config)
+    return async (request) => {
+      const req = { ...request }
+      const out = { status: null, headers: {}, body: null, payment: null }
+      const reply = {
+        code(code) { out.status = code; return reply },
+        headers(headers) { Object.assign(out.headers, headers); return reply },
+        send(body) { out.body = body; return reply }
+      }
+      await hook(req, reply)
+      out.payment = req.payment || null
+      return out
+    }
+  },
+
+  koa(config) {
+    const middleware = createKoaPaymentMiddleware(config)
+    return async (request) => {
+      const out = { status: null, headers: {}, body: null, payment: null }
+      const ctx = {
+        method: request.method,
+        url: request.url,
+        headers: request.headers,
+        request: { body: request.body },
+        state: {},
+        set(headers) { Object.assign(out.headers, headers) }
+      }
+      await middleware(ctx, async () => { out.payment = ctx.state.payment })
+      if (!out.payment) {
+        out.status = ctx.status
+        out.body = ctx.body
+      }
+      return out
+    }
+  },
+
+  hono(config) {
+    const middleware = createHonoPaymentMiddleware(config)
+    return async (request) => {
+      const out = { status: null, headers: {}, body: null, payment: null }
+      const vars = new Map()
+      const text = request.body === null ? '' : JSON.stringify(request.body)
+      const c = {
+        req: {
+          method: request.method,
+          url: `http://localhost${request.url}`,
+          header: (name) => name ? request.headers[name.toLowerCase()] : request.headers,
+          json: async () => JSON.parse(text),
+          text: async () => text
+        },
+        get: (key) => vars.get(key),
+        set: (key, value) => vars.set(key, value),
+        json(body, status, headers) {
+          Object.assign(out, { body, status })
+          Object.assign(out.headers, headers)
+          return out
+        }
+      }
+      await middleware(c, async () => { out.payment = vars.get('payment') })
+      return out
+    }
+  },
+
+  'node:http'(config) {
+    const handler = createNodePaymentHandler(config)
+    return async (request) => {
+      const out = { status: null, headers: {}, body: null, payment: null }
+      const res = {
+        writeHead(status, headers) { out.status = status; Object.assign(out.headers, headers) },
+        end(data) { out.body = JSON.parse(data) }
+      }
+      out.payment = await handler({ method: request.method, url: request.url, headers: request.headers }, res, request.body)
+      return out
+    }
+  }
+}
+
+let paid = 0
+
+// A raw transaction paying the operator — each one distinct, so each has its own txid
+function payingTransaction() {
+  const tx = new Transaction()
+  tx.addOutput({ lockingScript: new P2PKH().lock(operatorAddress), satoshis: PRICE + paid++ })
+  return tx.toHex()
+}
+
+function request(body, headers = {}) {
+  return {
+    method: 'POST',
+    url: '/api/save',
+    headers: { 'content-type': 'application/json', ...headers },
+    body
+  }
+}
+
+function paymentHeader(derivationPrefix, transaction) {
+  return { 'x-bsv-payment': JSON.stringify({ derivationPrefix, transaction }) }
+}
+
+for (const [name, driver] of Object.entries(drivers)) {
+  describe(`${name} adapter`, () => {
+    const send = driver({ operatorAddress, calculatePrice: () => PRICE })
+
+    const challenge = async (body) => {
+      const res = await send(request(body))
+      return res.headers['x-bsv-payment-derivation-prefix']
+    }
+
+    it('answers an unpaid request with a 402 challenge', async () => {
+      const res = await send(request({ text: 'hello' }))
+      assert.equal(res.status, 402)
+      assert.equal(res.payment, null)
+      assert.equal(res.body.code, 'ERR_PAYMENT_REQUIRED')
+      assert.equal(res.body.satoshisRequired, PRICE)
+      assert.equal(res.headers['x-bsv-payment-satoshis-required'], String(PRICE))
+      assert.equal(res.headers['x-bsv-payment-address'], operatorAddress)
+      assert.ok(res.headers['x-bsv-payment-derivation-prefix'])
+    })
+
+    it('lets a paid request through with its payment', async () => {
+      const body = { text: 'paid' }
+      const prefix = await challenge(body)
+      const res = await send(request(body, paymentHeader(prefix, payingTransaction())))
+      assert.ok(res.payment, `expected the request through, got ${res.status}`)
+      assert.equal(res.payment.accepted, true)
+      assert.equal(res.payment.satoshisPaid >= PRICE, true)
+      assert.equal(res.payment.derivationPrefix, prefix)
+      assert.match(res.payment.txid, /^[0-9a-f]{64}$/)
+    })
+
+    it('rejects a replayed payment', async () => {
+      const body = { text: 'replay' }
+      const prefix = await challenge(body)
+      const headers = paymentHeader(prefix, payingTransaction())
+      assert.ok((await send(request(body, headers))).payment)
+
+      const replay = await send(request(body, headers))
+      assert.equal(replay.status, 402)
+      assert.equal(replay.payment, null)
+      assert.equal(replay.body.code, 'ERR_CHALLENGE_UNKNOWN')
+    })
+
+    it('rejects a paid transaction sent against a fresh challenge', async () => {
+      const body = { text: 'reuse' }
+      const transaction = payingTransaction()
+      assert.ok((await send(request(body, paymentHeader(await challenge(body), transaction)))).payment)
+
+      const reuse = await send(request(body, paymentHeader(await challenge(body), transaction)))
+      assert.equal(reuse.status, 402)
+      assert.equal(reuse.body.code, 'ERR_PAYMENT_REUSED')
+    })
+
+    it('rejects a payment for a challenge issued to another request', async () => {
+      const prefix = await challenge({ text: 'cheap' })
+      const res = await send(request({ text: 'different' }, paymentHeader(prefix, payingTransaction())))
+      assert.equal(res.status, 402)
+      assert.equal(res.payment, null)
+      assert.equal(res.body.code, 'ERR_CHALLENGE_MISMATCH')
+    })
+  })
+}
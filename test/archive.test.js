@@ -0,0 +1,70 @@
+/**
+ * Archives — export, verify, import and load back the same conversation
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { PrivateKey } from '@bsv/sdk'
+import { IndelibleMemoryBridge } from '../src/bridge.js'
+import { MemoryBackend } from '../src/backends.js'
+import { readArchive } from '../src/archive.js'
+
+const identityWif = PrivateKey.fromRandom().toWif()
+const conversation = [
+  { role: 'user', content: 'plan the launch' },
+  { role: 'assistant', content: 'three phases' },
+  { role: 'user', content: 'phase one?' },
+  { role: 'assistant', content: 'staging deploy' }
+]
+
+function bridge(agentAddress, config = {}) {
+  return new IndelibleMemoryBridge({
+    operatorAddress: 'operator',
+    agentAddress,
+    identityWif,
+    backend: new MemoryBackend(),
+    ...config
+  })
+}
+
+const contents = (messages) => messages.map(m => m.content)
+
+for (const clientDelta of [true, false]) {
+  describe(`archive round trip (clientDelta: ${clientDelta})`, () => {
+    it('imports delta sessions as the conversations they continue', async () => {
+      const source = bridge('old-home', { clientDelta })
+      await source.save('agent', conversation.slice(0, 2), { summary: 'kickoff' })
+      const second = await source.save('agent', conversation, { summary: 'phase one' })
+      assert.equal(second.saveType, 'delta')
+
+      const archive = await source.exportArchive()
+      const target = bridge('new-home', { clientDelta })
+      const imported = await target.importArchive(archive, { expectedPublicKey: PrivateKey.fromWif(identityWif).toPublicKey().toString() })
+      assert.equal(imported.imported, 2)
+      assert.deepEqual(imported.sessions.map(s => s.saveType), ['full', 'delta'])
+
+      const sessions = await target.loadSessions('agent')
+      assert.deepEqual(sessions.map(s => s.provenance.sourceSessionId), imported.sessions.map(s => s.sourceSessionId))
+
+      const [first, latest] = sessions
+      const change = await target.diff(first.sessionId, latest.sessionId)
+      assert.deepEqual(contents(change.added), contents(conversation.slice(2)))
+      assert.equal(change.removed.length, 0)
+      assert.equal(change.to.messageCount, conversation.length)
+
+      assert.match(await target.load('agent'), /plan the launch[\s\S]*staging deploy/)
+    })
+  })
+}
+
+describe('archive verification', () => {
+  it('rejects a tampered session line', async () => {
+    const source = bridge('old-home')
+    await source.save('agent', conversation, { summary: 'all of it' })
+    const archive = (await source.exportArchive()).replace('staging deploy', 'prod deploy')
+
+    const verified = await readArchive(archive)
+    assert.equal(verified.valid, false)
+    await assert.rejects(bridge('new-home').importArchive(archive), /Invalid archive/)
+  })
+})
@@ -0,0 +1,116 @@
+/**
+ * Capabilities — callers may only touch the memory they own, each within its own rate limit
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { PrivateKey, Transaction, P2PKH } from '@bsv/sdk'
+import { registerIndelibleCapabilities } from '../src/capabilities.js'
+import { MemoryBackend } from '../src/backends.js'
+import { createPaymentGate } from '../src/middleware.js'
+
+const operatorWif = PrivateKey.fromRandom().toWif()
+const agent = PrivateKey.fromRandom()
+const agentKey = agent.toPublicKey().toString()
+const agentAddress = agent.toAddress()
+const stranger = PrivateKey.fromRandom().toPublicKey().toString()
+const orchestrator = PrivateKey.fromRandom().toPublicKey().toString()
+
+function register(config = {}) {
+  const handlers = {}
+  const registry = { register: (definition) => { handlers[definition.name] = definition.handler } }
+  handlers.registered = registerIndelibleCapabilities(registry, {
+    operatorAddress: PrivateKey.fromRandom().toAddress(),
+    identityWif: operatorWif,
+    backend: new MemoryBackend(),
+    rateLimit: false,
+    ...config
+  })
+  return handlers
+}
+
+const messages = [{ role: 'user', content: 'remember the launch code is blue' }]
+
+describe('capability ownership', () => {
+  it('serves the agent that owns the address', async () => {
+    const handlers = register()
+    await handlers.save_context({ agentAddress, messages }, { identityKey: agentKey })
+
+    const listed = await handlers.list_sessions({ agentAddress }, { identityKey: agentKey })
+    assert.equal(listed.sessions.length, 1)
+    const found = await handlers.search_memory({ agentAddress, query: 'launch code' }, { identityKey: agentKey })
+    assert.equal(found.results.length, 1)
+  })
+
+  it('refuses another caller on every capability', async () => {
+    const handlers = register()
+    await handlers.save_context({ agentAddress, messages }, { identityKey: agentKey })
+
+    const calls = {
+      save_context: { agentAddress, messages },
+      load_context: { agentAddress },
+      list_sessions: { agentAddress },
+      search_memory: { agentAddress, query: 'launch code' },
+      export_memory: { agentAddress }
+    }
+    for (const [name, params] of Object.entries(calls)) {
+      await assert.rejects(handlers[name](params, { identityKey: stranger }), { code: 'ERR_FORBIDDEN' }, name)
+    }
+  })
+
+  it('refuses unauthenticated callers', async () => {
+    const handlers = register()
+    await assert.rejects(handlers.list_sessions({ agentAddress }, {}), { code: 'ERR_UNAUTHENTICATED' })
+    await assert.rejects(handlers.list_sessions({ agentAddress }), { code: 'ERR_UNAUTHENTICATED' })
+  })
+
+  it('serves keys the operator allow-lists for the address', async () => {
+    const handlers = register({ allowedCallers: { [agentAddress]: [orchestrator] } })
+    await handlers.save_context({ agentAddress, messages }, { identityKey: orchestrator })
+
+    const exported = await handlers.export_memory({ agentAddress }, { identityKey: orchestrator })
+    assert.equal(exported.format, 'jsonl')
+    await assert.rejects(handlers.export_memory({ agentAddress }, { identityKey: stranger }), { code: 'ERR_FORBIDDEN' })
+  })
+})
+
+describe('capability rate limits', () => {
+  const other = PrivateKey.fromRandom()
+  const otherKey = other.toPublicKey().toString()
+
+  it('gives every caller its own bucket and never counts unauthenticated calls', async () => {
+    const handlers = register({ rateLimit: { limit: 1, windowMs: 60000 } })
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(handlers.list_sessions({ agentAddress }), { code: 'ERR_UNAUTHENTICATED' })
+    }
+
+    await handlers.list_sessions({ agentAddress }, { identityKey: agentKey })
+    await handlers.list_sessions({ agentAddress: other.toAddress() }, { identityKey: otherKey })
+    await assert.rejects(handlers.list_sessions({ agentAddress }, { identityKey: agentKey }), { code: 'ERR_RATE_LIMITED' })
+  })
+
+  it('only limits authenticated payers at the gate', async () => {
+    const { rateLimit } = register({ rateLimit: { limit: 1, windowMs: 60000 } }).registered
+    const operatorAddress = PrivateKey.fromRandom().toAddress()
+    const gate = createPaymentGate({ operatorAddress, calculatePrice: () => 50, rateLimit })
+    let paid = 0
+    const pay = async (auth) => {
+      const req = (headers = {}) => ({ method: 'POST', url: '/api/save', headers: { 'content-type': 'application/json', ...headers }, body: { text: 'hi' }, ...(auth ? { auth } : {}) })
+      const derivationPrefix = (await gate(req())).headers['x-bsv-payment-derivation-prefix']
+      const tx = new Transaction()
+      tx.addOutput({ lockingScript: new P2PKH().lock(operatorAddress), satoshis: 50 + paid++ })
+      return gate(req({ 'x-bsv-payment': JSON.stringify({ derivationPrefix, transaction: tx.toHex() }) }))
+    }
+
+    for (let i = 0; i < 3; i++) {
+      const anonymous = await pay(null)
+      assert.equal(anonymous.allowed, true)
+      assert.equal(anonymous.payment.rateCounted, undefined)
+    }
+
+    const first = await pay({ identityKey: agentKey })
+    assert.equal(first.payment.rateCounted, true)
+    assert.equal((await pay({ identityKey: agentKey })).status, 429)
+    assert.equal((await pay({ identityKey: otherKey })).allowed, true)
+  })
+})
@@ -0,0 +1,95 @@
+/**
+ * Prepaid credit — top-ups, debits and signed requests, each accepted once
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { PrivateKey } from '@bsv/sdk'
+import { createCreditAccounts, signCreditRequest } from '../src/credits.js'
+import { FileNonceStore } from '../src/nonces.js'
+import { createPaymentGate } from '../src/middleware.js'
+
+const agentWif = PrivateKey.fromRandom().toWif()
+const identityKey = PrivateKey.fromWif(agentWif).toPublicKey().toString()
+
+const topUpRequest = (payment) => ({ method: 'POST', url: '/credits/topup', headers: { 'x-bsv-identity-key': identityKey }, body: { satoshis: 500 }, payment })
+const signedRequest = (action, body = {}) => ({ method: 'POST', url: `/credits/${action}`, headers: signCreditRequest({ identityWif: agentWif, action, ...body }), body })
+
+describe('credit top-ups', () => {
+  it('credits only SPV-verified or internalized payments', async () => {
+    const credits = createCreditAccounts()
+    const raw = await credits.topUp(topUpRequest({ accepted: true, txid: 'a'.repeat(64), satoshisPaid: 500 }))
+    assert.equal(raw.status, 402)
+
+    const spv = await credits.topUp(topUpRequest({ accepted: true, txid: 'b'.repeat(64), satoshisPaid: 500, spv: true }))
+    assert.equal(spv.status, 200)
+    assert.equal(spv.body.balance, 500)
+  })
+
+  it('credits each transaction once', async () => {
+    const credits = createCreditAccounts()
+    const payment = { accepted: true, txid: 'c'.repeat(64), satoshisPaid: 500, internalized: true }
+    assert.equal((await credits.topUp(topUpRequest(payment))).status, 200)
+    assert.equal((await credits.topUp(topUpRequest(payment))).status, 409)
+    assert.equal(await credits.balanceOf(identityKey), 500)
+  })
+})
+
+describe('credit debits', () => {
+  it('pays a challenge from the balance', async () => {
+    const credits = createCreditAccounts()
+    await credits.store.credit(identityKey, 100)
+    const gate = createPaymentGate({ operatorAddress: PrivateKey.fromRandom().toAddress(), calculatePrice: () => 30, credits })
+
+    const request = (headers) => ({ method: 'POST', url: '/api/save', headers: { 'content-type': 'application/json', ...headers }, body: { text: 'hi' } })
+    const challenge = await gate(request({ 'x-bsv-identity-key': identityKey }))
+    const derivationPrefix = challenge.headers['x-bsv-payment-derivation-prefix']
+
+    const headers = signCreditRequest({ identityWif: agentWif, action: 'debit', derivationPrefix })
+    const paid = await gate(request(headers))
+    assert.equal(paid.allowed, true)
+    assert.equal(paid.payment.credit, true)
+    assert.equal(await credits.balanceOf(identityKey), 70)
+
+    const replay = await gate(request(headers))
+    assert.equal(replay.allowed, false)
+    assert.equal(await credits.balanceOf(identityKey), 70)
+  })
+})
+
+describe('signed credit requests', () => {
+  it('accepts each signature once', async () => {
+    const credits = createCreditAccounts()
+    const req = signedRequest('balance')
+    assert.equal((await credits.balance(req)).status, 200)
+
+    const replay = await credits.balance(req)
+    assert.equal(replay.status, 401)
+    assert.match(replay.body.error, /already used/)
+  })
+
+  it('refuses a replay on another instance or after a restart that share the nonce store', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credits-'))
+    try {
+      const file = path.join(dir, 'nonces.jsonl')
+      const sent = []
+      const payRefund = async ({ satoshis }) => { sent.push(satoshis); return { txid: 'd'.repeat(64) } }
+
+      const first = createCreditAccounts({ nonceStore: new FileNonceStore({ path: file }), payRefund })
+      await first.store.credit(identityKey, 300)
+      const req = signedRequest('refund', { satoshis: 100 })
+      assert.equal((await first.refund(req)).status, 200)
+
+      const second = createCreditAccounts({ store: first.store, nonceStore: new FileNonceStore({ path: file }), payRefund })
+      const replay = await second.refund(req)
+      assert.equal(replay.status, 401)
+      assert.deepEqual(sent, [100])
+      assert.equal(await second.balanceOf(identityKey), 200)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
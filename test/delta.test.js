@@ -0,0 +1,187 @@
+/**
+ * Client-side deltas and append() batching
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { execFileSync } from 'child_process'
+import { IndelibleMemoryBridge } from '../src/bridge.js'
+import { MemoryBackend } from '../src/backends.js'
+
+// Stands in for the Indelible server: records what it is sent, knows nothing of clientDelta
+class RecordingBackend {
+  constructor() {
+    this.bodies = []
+  }
+
+  async save(body) {
+    this.bodies.push(body)
+    return { success: true, txId: `tx${this.bodies.length}`, sessionId: `s${this.bodies.length}`, messageCount: body.messages.length, saveType: 'full' }
+  }
+
+  async load() {
+    return { context: null, sessions: [] }
+  }
+
+  async list() {
+    return []
+  }
+}
+
+const msg = (content, role = 'user') => ({ role, content })
+
+function bridge(backend, config = {}) {
+  return new IndelibleMemoryBridge({ operatorAddress: 'operator', agentAddress: 'agent', backend, ...config })
+}
+
+describe('client-side deltas', () => {
+  it('are off for backends that do not support them', async () => {
+    const backend = new RecordingBackend()
+    const memory = bridge(backend)
+    assert.equal(memory.delta, null)
+
+    await memory.save('k', [msg('one')])
+    await memory.save('k', [msg('one'), msg('two')])
+
+    assert.equal(backend.bodies[1].messages.length, 2, 'the whole conversation is sent')
+    for (const body of backend.bodies) {
+      assert.equal(body.clientDelta, undefined)
+      assert.equal(body.prevSessionId, undefined)
+    }
+  })
+
+  it('refuse clientDelta: true on a backend that does not support them', () => {
+    assert.throws(() => bridge(new RecordingBackend(), { clientDelta: true }), /supportsClientDelta/)
+  })
+
+  it('do not move the base forward for a save that was only queued', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indelible-delta-'))
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+    const backend = new MemoryBackend()
+    const save = backend.save.bind(backend)
+    let down = false
+    backend.save = (body) => down ? Promise.reject(new Error('server unreachable')) : save(body)
+    const memory = bridge(backend, { journalPath: path.join(dir, 'journal.jsonl'), retryBaseMs: 60000 })
+
+    await memory.save('k', [msg('one')])
+    down = true
+    const queued = await memory.save('k', [msg('one'), msg('two')])
+    assert.equal(queued.queued, true)
+    assert.equal(memory.delta.get(memory._streamKey('k')).count, 1, 'base still at the committed save')
+
+    down = false
+    const next = await memory.save('k', [msg('one'), msg('two'), msg('three')])
+    assert.equal(next.success, true)
+    const sessions = await memory.loadSessions('k', { numSessions: 5 })
+    assert.deepEqual(sessions.at(-1).messages.map(m => m.content), ['two', 'three'])
+  })
+
+  it('upload only the new tail to a backend that supports them', async () => {
+    const backend = new MemoryBackend()
+    const memory = bridge(backend)
+    await memory.save('k', [msg('one')])
+    const second = await memory.save('k', [msg('one'), msg('two')])
+    const third = await memory.save('k', [msg('one'), msg('two')])
+
+    assert.equal(second.saveType, 'delta')
+    assert.equal(second.messageCount, 1)
+    assert.equal(third.saveType, 'unchanged')
+  })
+})
+
+describe('append', () => {
+  it('sends the conversation so far when the server does the diffing', async () => {
+    const backend = new RecordingBackend()
+    const memory = bridge(backend, { appendBatchSize: 2 })
+
+    await memory.append([msg('a'), msg('b')])
+    await memory.append([msg('c'), msg('d')])
+
+    assert.deepEqual(backend.bodies.map(b => b.messages.map(m => m.content)), [['a', 'b'], ['a', 'b', 'c', 'd']])
+  })
+
+  it('commits batches as deltas with client-side deltas on', async () => {
+    const backend = new MemoryBackend()
+    const memory = bridge(backend, { appendBatchSize: 2 })
+
+    const first = await memory.append([msg('a'), msg('b')])
+    const second = await memory.append([msg('c'), msg('d')])
+
+    assert.equal(first.saveType, 'full')
+    assert.equal(second.saveType, 'delta')
+    const sessions = await memory.loadSessions('k')
+    assert.deepEqual(sessions.map(s => s.messages.map(m => m.content)), [['a', 'b'], ['c', 'd']])
+  })
+})
+
+describe('append with a journal', () => {
+  it('resends a queued batch with the next one', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indelible-append-'))
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+    const backend = new MemoryBackend()
+    const save = backend.save.bind(backend)
+    let down = true
+    backend.save = (body) => down ? Promise.reject(new Error('server unreachable')) : save(body)
+    const memory = bridge(backend, { appendBatchSize: 2, journalPath: path.join(dir, 'journal.jsonl'), retryBaseMs: 60000 })
+
+    assert.equal((await memory.append([msg('a'), msg('b')])).queued, true)
+    down = false
+    await memory.append([msg('c'), msg('d')])
+
+    const sessions = await memory.loadSessions('k', { numSessions: 5 })
+    const latest = await memory.diff(sessions[0].sessionId, sessions.at(-1).sessionId)
+    assert.equal(latest.to.messageCount, 4)
+  })
+})
+
+describe('append timers', () => {
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+  it('retries a failed timed commit', async () => {
+    const backend = new MemoryBackend()
+    const save = backend.save.bind(backend)
+    let failures = 1
+    backend.save = (body) => failures-- > 0 ? Promise.reject(new Error('server unreachable')) : save(body)
+    const memory = bridge(backend, { appendIntervalMs: 10 })
+
+    await memory.append(msg('a'))
+    await wait(60)
+
+    const sessions = await memory.loadSessions('k')
+    assert.deepEqual(sessions.map(s => s.messages.map(m => m.content)), [['a']])
+  })
+
+  it('clears the summary once it has been committed', async () => {
+    const memory = bridge(new MemoryBackend())
+    await memory.append(msg('a'), { summary: 'first batch' })
+    await memory.commit()
+    await memory.append(msg('b'))
+    await memory.commit()
+
+    assert.deepEqual((await memory.list()).map(s => s.summary), ['first batch', 'Agent memory: agent'])
+  })
+
+  it('commits buffered messages before the process exits', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indelible-append-'))
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+    const script = `
+      import { IndelibleMemoryBridge } from ${JSON.stringify(new URL('../src/bridge.js', import.meta.url).href)}
+      import { FileBackend } from ${JSON.stringify(new URL('../src/backends.js', import.meta.url).href)}
+      const memory = new IndelibleMemoryBridge({
+        operatorAddress: 'operator', agentAddress: 'agent', appendIntervalMs: 600000,
+        backend: new FileBackend({ dir: ${JSON.stringify(dir)} })
+      })
+      await memory.append({ role: 'user', content: 'last words' })
+    `
+    execFileSync(process.execPath, ['--input-type=module', '-e', script], { timeout: 30000 })
+
+    const saved = fs.readFileSync(path.join(dir, 'agent.jsonl'), 'utf8')
+    assert.match(saved, /last words/)
+  })
+})
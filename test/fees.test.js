@@ -0,0 +1,36 @@
+/**
+ * Protocol fee derivation — checkable by any provider, spendable by the treasury only
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { PrivateKey, P2PKH } from '@bsv/sdk'
+import { deriveFeeLockingScript, FEE_KID, FEE_DERIVATION_SUFFIX } from '../src/fees.js'
+import { ANYONE_KEY } from '../src/constants.js'
+
+describe('deriveFeeLockingScript', () => {
+  const treasury = PrivateKey.fromRandom()
+  const feeIdentityKey = treasury.toPublicKey().toString()
+  const derivationPrefix = 'cHJlZml4LWZvci10ZXN0'
+
+  it('derives a script the treasury holds the key for', () => {
+    const script = deriveFeeLockingScript({ derivationPrefix, feeIdentityKey })
+    const invoiceNumber = `2-${FEE_KID}-${derivationPrefix} ${FEE_DERIVATION_SUFFIX}`
+    const spendingKey = treasury.deriveChild(ANYONE_KEY.toPublicKey(), invoiceNumber)
+    assert.equal(script, new P2PKH().lock(spendingKey.toAddress()).toHex())
+  })
+
+  it('differs per challenge prefix', () => {
+    assert.notEqual(
+      deriveFeeLockingScript({ derivationPrefix, feeIdentityKey }),
+      deriveFeeLockingScript({ derivationPrefix: 'b3RoZXItcHJlZml4', feeIdentityKey })
+    )
+  })
+
+  it('is not the payer-counterparty BRC-29 output a ClawSats wallet would pay', () => {
+    const payer = PrivateKey.fromRandom()
+    const invoiceNumber = `2-${FEE_KID}-${derivationPrefix} ${FEE_DERIVATION_SUFFIX}`
+    const brc29 = new P2PKH().lock(treasury.toPublicKey().deriveChild(payer, invoiceNumber).toAddress()).toHex()
+    assert.notEqual(deriveFeeLockingScript({ derivationPrefix, feeIdentityKey }), brc29)
+  })
+})
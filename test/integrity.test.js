@@ -0,0 +1,57 @@
+/**
+ * Integrity — tampering versus commitments this format can't check
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { PrivateKey, Transaction, P2PKH } from '@bsv/sdk'
+import { IndelibleMemoryBridge } from '../src/bridge.js'
+import { MemoryBackend } from '../src/backends.js'
+import { MemoryChainSource, verifySessions } from '../src/integrity.js'
+
+const msg = (content, role = 'user') => ({ role, content })
+
+function bridge(backend, config = {}) {
+  return new IndelibleMemoryBridge({ operatorAddress: 'operator', agentAddress: 'agent', backend, clientDelta: false, ...config })
+}
+
+describe('verify', () => {
+  it('passes sessions committed by a local backend', async () => {
+    const memory = bridge(new MemoryBackend({ chain: new MemoryChainSource() }))
+    await memory.save('agent', [msg('one')])
+    await memory.save('agent', [msg('one'), msg('two')])
+
+    const report = await memory.verify()
+    assert.equal(report.valid, true)
+    assert.equal(report.sessions.length, 2)
+  })
+
+  it('still reports tampered content as invalid', async () => {
+    const backend = new MemoryBackend({ chain: new MemoryChainSource() })
+    const memory = bridge(backend)
+    await memory.save('agent', [msg('the real thing')])
+    backend.agents.get('agent')[0].messages[0].content = 'rewritten'
+
+    const report = await memory.verify()
+    assert.equal(report.valid, false)
+    assert.equal(report.sessions[0].checks.contentHash, false)
+  })
+
+  it('refuses a backend that does not commit in this format', async () => {
+    const chainSource = new MemoryChainSource()
+    const memory = bridge(new MemoryBackend(), { chainSource })
+    await memory.save('agent', [msg('one')])
+    await assert.rejects(memory.verify(), /Unsupported backend/)
+  })
+
+  it('throws an unsupported format for genuine transactions without a commitment', async () => {
+    // Stands in for a server-committed session: the transaction exists, in some other format
+    const chainSource = new MemoryChainSource()
+    const tx = new Transaction()
+    tx.addOutput({ lockingScript: new P2PKH().lock(PrivateKey.fromRandom().toAddress()), satoshis: 1 })
+    const txId = chainSource.add(tx)
+
+    const session = { sessionId: 'server-session', txIds: [txId], prevSessionId: null, messages: [msg('one')] }
+    await assert.rejects(verifySessions([session], chainSource), /Unsupported commitment format/)
+  })
+})
@@ -0,0 +1,151 @@
+/**
+ * Write-ahead journal — queued saves, concurrent flushes, replay and dead letters
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { IndelibleMemoryBridge } from '../src/bridge.js'
+import { MemoryBackend } from '../src/backends.js'
+import { MemoryJournal } from '../src/journal.js'
+
+// A MemoryBackend that can be taken down, answers slowly, and always rejects some saves
+class FlakyBackend extends MemoryBackend {
+  constructor() {
+    super()
+    this.down = false
+    this.delayMs = 0
+    this.poison = new Set()  // summaries that always fail
+  }
+
+  async save(body) {
+    if (this.delayMs) await new Promise(resolve => setTimeout(resolve, this.delayMs))
+    if (this.down) throw new Error('server unreachable')
+    if (this.poison.has(body.summary)) throw new Error('rejected by server')
+    return super.save(body)
+  }
+}
+
+let dir
+let journalPath
+
+function bridge(backend, config = {}) {
+  return new IndelibleMemoryBridge({
+    operatorAddress: 'operator',
+    agentAddress: 'agent',
+    backend,
+    journalPath,
+    retryBaseMs: 60000,
+    ...config
+  })
+}
+
+const msg = (content) => [{ role: 'user', content }]
+
+describe('journal', () => {
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indelible-journal-'))
+    journalPath = path.join(dir, 'journal.jsonl')
+  })
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+  it('commits overlapping saves on different keys', async () => {
+    const backend = new FlakyBackend()
+    backend.delayMs = 20
+    const memory = bridge(backend)
+
+    const results = await Promise.all([
+      memory.save('a', msg('first')),
+      memory.save('b', msg('second')),
+      memory.save('c', msg('third'))
+    ])
+
+    for (const result of results) {
+      assert.equal(result.success, true, JSON.stringify(result))
+      assert.ok(result.sessionId)
+    }
+    assert.equal(memory.queueStatus().pending, 0)
+    assert.equal((await backend.list('agent')).length, 3)
+  })
+
+  it('queues saves while the server is down and sends them on the next flush', async () => {
+    const backend = new FlakyBackend()
+    backend.down = true
+    const memory = bridge(backend)
+
+    const queued = await memory.save('a', msg('offline'))
+    assert.equal(queued.success, false)
+    assert.equal(queued.queued, true)
+    assert.equal(memory.queueStatus().lastError, 'server unreachable')
+    assert.ok(memory.queueStatus().nextAttemptAt, 'a retry is scheduled')
+
+    backend.down = false
+    const { flushed, pending } = await memory.flush({ force: true })
+    assert.equal(flushed, 1)
+    assert.equal(pending, 0)
+  })
+
+  it('replays a journal left by a previous process', async () => {
+    const backend = new FlakyBackend()
+    backend.down = true
+    assert.equal((await bridge(backend).save('a', msg('before crash'))).queued, true)
+
+    backend.down = false
+    const restarted = bridge(backend)
+    assert.equal(restarted.queueStatus().pending, 1)
+    await restarted.flush({ force: true })
+
+    const [session] = await restarted.loadSessions('a')
+    assert.equal(session.messages[0].content, 'before crash')
+  })
+
+  it('does not commit identical content twice', async () => {
+    const backend = new FlakyBackend()
+    const memory = bridge(backend, { clientDelta: false })
+    const first = await memory.save('a', msg('same'), { summary: 's' })
+    const again = await memory.save('a', msg('same'), { summary: 's' })
+
+    assert.equal(again.sessionId, first.sessionId)
+    assert.equal((await backend.list('agent')).length, 1)
+  })
+
+  it('lets a poison entry be discarded so the queue moves on', async () => {
+    const backend = new FlakyBackend()
+    backend.poison.add('bad')
+    const memory = bridge(backend, { clientDelta: false })
+
+    const stuck = await memory.save('a', msg('cannot save'), { summary: 'bad' })
+    assert.equal(stuck.queued, true)
+    const behind = await memory.save('b', msg('fine'), { summary: 'good' })
+    assert.equal(behind.queued, true, 'held up behind the failing entry')
+
+    const discarded = await memory.discardQueued(stuck.journalId, { reason: 'malformed' })
+    assert.equal(discarded.reason, 'malformed')
+    await memory.flush({ force: true })
+
+    assert.equal(memory.queueStatus().pending, 0)
+    assert.equal(memory.queueStatus().discarded, 1)
+    assert.deepEqual((await backend.list('agent')).map(s => s.summary), ['good'])
+
+    // The dead letter survives a restart, body and all
+    const reloaded = new MemoryJournal({ path: journalPath })
+    assert.equal(reloaded.pending().length, 0)
+    assert.equal(reloaded.discarded()[0].body.summary, 'bad')
+  })
+
+  it('discards an entry after journalMaxAttempts failures', async () => {
+    const backend = new FlakyBackend()
+    backend.poison.add('bad')
+    const memory = bridge(backend, { clientDelta: false, journalMaxAttempts: 2 })
+
+    const stuck = await memory.save('a', msg('cannot save'), { summary: 'bad' })
+    assert.equal(stuck.queued, true)
+    const next = await memory.save('b', msg('fine'), { summary: 'good' })
+
+    assert.equal(next.success, true)
+    assert.equal(memory.journal.discarded()[0].id, stuck.journalId)
+    assert.match(memory.journal.discarded()[0].reason, /Gave up after 2 attempts/)
+  })
+})
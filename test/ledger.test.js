@@ -0,0 +1,111 @@
+/**
+ * Revenue ledger — what the gate records, and what operators read back
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { PrivateKey, Transaction, P2PKH } from '@bsv/sdk'
+import { createRevenueLedger, FileLedgerStore } from '../src/ledger.js'
+import { createPaymentGate } from '../src/middleware.js'
+
+const operatorAddress = PrivateKey.fromRandom().toAddress()
+let paid = 0
+
+function payingTransaction() {
+  const tx = new Transaction()
+  tx.addOutput({ lockingScript: new P2PKH().lock(operatorAddress), satoshis: 40 + paid++ })
+  return tx.toHex()
+}
+
+const request = (headers = {}) => ({
+  method: 'POST',
+  url: '/api/save_context',
+  headers: { 'content-type': 'application/json', ...headers },
+  body: { capability: 'save_context', text: 'hi' }
+})
+
+async function challenge(gate) {
+  return (await gate(request())).headers['x-bsv-payment-derivation-prefix']
+}
+
+const paymentHeader = (derivationPrefix, transaction) => ({ 'x-bsv-payment': JSON.stringify({ derivationPrefix, transaction }) })
+
+describe('payment gate ledger', () => {
+  it('records paid calls and rejected payments', async () => {
+    const ledger = createRevenueLedger()
+    const gate = createPaymentGate({ operatorAddress, calculatePrice: () => 40, ledger })
+
+    const headers = paymentHeader(await challenge(gate), payingTransaction())
+    const accepted = await gate(request(headers))
+    assert.equal(accepted.allowed, true)
+    assert.equal((await gate(request(headers))).allowed, false)
+
+    const [paidEntry, rejected] = await ledger.entries()
+    assert.equal(paidEntry.outcome, 'paid')
+    assert.equal(paidEntry.txid, accepted.payment.txid)
+    assert.equal(paidEntry.satoshis, accepted.payment.satoshisPaid)
+    assert.equal(paidEntry.capability, 'save_context')
+    assert.equal(rejected.outcome, 'rejected')
+    assert.equal(rejected.code, 'ERR_CHALLENGE_UNKNOWN')
+  })
+
+  it('never lets a failing ledger or hook change the decision', async () => {
+    const ledger = { record: async () => { throw new Error('disk full') } }
+    const onPaid = async () => { throw new Error('webhook down') }
+    const gate = createPaymentGate({ operatorAddress, calculatePrice: () => 40, ledger, onPaid })
+
+    const decision = await gate(request(paymentHeader(await challenge(gate), payingTransaction())))
+    assert.equal(decision.allowed, true)
+  })
+})
+
+describe('createRevenueLedger', () => {
+  it('sums revenue per day and capability, net of refunds, apart from credit usage', async () => {
+    const ledger = createRevenueLedger()
+    const day = '2026-10-01T12:00:00.000Z'
+    await ledger.record({ outcome: 'paid', txid: 'a', satoshis: 15, capability: 'save_context', recordedAt: day })
+    await ledger.record({ outcome: 'paid', txid: 'b', satoshis: 15, capability: 'save_context', recordedAt: day })
+    await ledger.record({ outcome: 'debited', satoshis: 15, capability: 'save_context', recordedAt: day })
+    await ledger.record({ outcome: 'rejected', capability: 'save_context', code: 'ERR_MISSING_FEE', recordedAt: day })
+    await ledger.record({ outcome: 'refunded', txid: 'a', satoshis: 15, capability: 'save_context', recordedAt: day })
+
+    const [row] = await ledger.dailyRevenue()
+    assert.deepEqual(row, {
+      date: '2026-10-01',
+      capability: 'save_context',
+      payments: 2,
+      satoshis: 30,
+      refunds: 1,
+      refundedSatoshis: 15,
+      netSatoshis: 15,
+      debits: 1,
+      debitedSatoshis: 15,
+      rejected: 1
+    })
+  })
+
+  it('exports CSV with formula-looking cells defused', async () => {
+    const ledger = createRevenueLedger()
+    await ledger.record({ outcome: 'paid', txid: 'a', satoshis: 15, route: '=HYPERLINK("x")' })
+    const [header, line] = (await ledger.export('csv')).trim().split('\n')
+    assert.match(header, /^recordedAt,outcome,capability,route/)
+    assert.match(line, /,"'=HYPERLINK\(""x""\)",/)
+  })
+
+  it('reloads a file ledger', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'))
+    try {
+      const file = path.join(dir, 'ledger.jsonl')
+      await createRevenueLedger({ store: new FileLedgerStore({ path: file }) }).recordRefund({ txid: 'a', satoshis: 10 })
+
+      const entries = await createRevenueLedger({ store: new FileLedgerStore({ path: file }) }).entries({ outcome: 'refunded' })
+      assert.equal(entries.length, 1)
+      assert.equal(entries[0].satoshis, 10)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,135 @@
+/**
+ * Nonce stores — claims expire, and a full store refuses instead of forgetting
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { PrivateKey, Transaction, P2PKH } from '@bsv/sdk'
+import { MemoryNonceStore, FileNonceStore, RedisNonceStore } from '../src/nonces.js'
+import { createPaymentGate } from '../src/middleware.js'
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Answers SET the way Redis does, enough to see which arguments reach it
+class RecordingRedis {
+  constructor() {
+    this.commands = []
+    this.keys = new Set()
+  }
+
+  async sendCommand(args) {
+    this.commands.push(args)
+    if (args[0] === 'SET' && args.includes('NX')) {
+      if (this.keys.has(args[1])) return null
+      this.keys.add(args[1])
+      return 'OK'
+    }
+    return 'OK'
+  }
+}
+
+describe('MemoryNonceStore claims', () => {
+  it('claims a key once until it expires', async () => {
+    const store = new MemoryNonceStore()
+    assert.equal(await store.claim('tx:a', 20), true)
+    assert.equal(await store.claim('tx:a', 20), false)
+    await sleep(30)
+    assert.equal(await store.claim('tx:a', 20), true)
+  })
+
+  it('keeps claims without a ttl for good', async () => {
+    const store = new MemoryNonceStore()
+    assert.equal(await store.claim('tx:a'), true)
+    await sleep(5)
+    assert.equal(await store.claim('tx:a'), false)
+  })
+
+  it('refuses new claims when full instead of evicting old ones', async () => {
+    const store = new MemoryNonceStore({ maxClaims: 2 })
+    await store.claim('tx:a', 20)
+    await store.claim('tx:b', 60000)
+    await assert.rejects(store.claim('tx:c', 60000), /full/)
+    assert.equal(await store.claim('tx:a', 20), false, 'the oldest claim is still held')
+
+    await sleep(30)
+    assert.equal(await store.claim('tx:c', 60000), true, 'expired claims make room')
+    assert.equal(await store.claim('tx:b', 60000), false)
+  })
+})
+
+describe('FileNonceStore claims', () => {
+  it('keeps live claims and drops expired ones across restarts', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nonces-'))
+    try {
+      const file = path.join(dir, 'nonces.jsonl')
+      const store = new FileNonceStore({ path: file })
+      await store.claim('tx:short', 20)
+      await store.claim('tx:long', 60000)
+      await store.claim('tx:forever')
+      await sleep(30)
+
+      const reopened = new FileNonceStore({ path: file })
+      assert.equal(await reopened.claim('tx:short', 20), true)
+      assert.equal(await reopened.claim('tx:long', 60000), false)
+      assert.equal(await reopened.claim('tx:forever'), false)
+
+      reopened.compact()
+      const compacted = new FileNonceStore({ path: file })
+      assert.equal(await compacted.claim('tx:long', 60000), false)
+      assert.equal(await compacted.claim('tx:forever'), false)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('RedisNonceStore claims', () => {
+  it('sets claims with NX and an expiry', async () => {
+    const client = new RecordingRedis()
+    const store = new RedisNonceStore({ client })
+    assert.equal(await store.claim('tx:a', 86400000), true)
+    assert.equal(await store.claim('tx:a', 86400000), false)
+    assert.deepEqual(client.commands[0], ['SET', 'indelible:nonce:tx:a', '1', 'NX', 'PX', '86400000'])
+  })
+})
+
+describe('payment gate claims', () => {
+  const operatorAddress = PrivateKey.fromRandom().toAddress()
+  let paid = 0
+  const payingTransaction = () => {
+    const tx = new Transaction()
+    tx.addOutput({ lockingScript: new P2PKH().lock(operatorAddress), satoshis: 50 + paid++ })
+    return tx.toHex()
+  }
+  const request = (headers = {}) => ({ method: 'POST', url: '/api/save', headers: { 'content-type': 'application/json', ...headers }, body: { text: 'hi' } })
+  const pay = async (gate) => {
+    const challenge = await gate(request())
+    const derivationPrefix = challenge.headers['x-bsv-payment-derivation-prefix']
+    return gate(request({ 'x-bsv-payment': JSON.stringify({ derivationPrefix, transaction: payingTransaction() }) }))
+  }
+
+  it('claims paying txids for claimTtlMs', async () => {
+    const nonceStore = new MemoryNonceStore()
+    const gate = createPaymentGate({ operatorAddress, calculatePrice: () => 50, nonceStore, claimTtlMs: 86400000 })
+    const before = Date.now()
+    assert.equal((await pay(gate)).allowed, true)
+
+    const [claim] = [...nonceStore.claims.values()]
+    assert.ok(claim.expiresAt >= before + 86400000 && claim.expiresAt <= Date.now() + 86400000)
+  })
+
+  it('answers 503 rather than forgetting a claim when the store is full', async () => {
+    const gate = createPaymentGate({ operatorAddress, calculatePrice: () => 50, nonceStore: new MemoryNonceStore({ maxClaims: 1 }) })
+    assert.equal((await pay(gate)).allowed, true)
+    const full = await pay(gate)
+    assert.equal(full.allowed, false)
+    assert.equal(full.status, 503)
+  })
+
+  it('refuses a claim ttl that would not outlive the challenge', () => {
+    assert.throws(() => createPaymentGate({ operatorAddress, calculatePrice: () => 50, challengeTtlMs: 60000, claimTtlMs: 60000 }), /outlive/)
+  })
+})
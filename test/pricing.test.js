@@ -0,0 +1,38 @@
+/**
+ * Pricing — requests that resolve to no capability are never free by accident
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { PrivateKey } from '@bsv/sdk'
+import { createPricing } from '../src/pricing.js'
+import { createPaymentGate } from '../src/middleware.js'
+import { PRICES } from '../src/constants.js'
+
+const request = (url, body = {}) => ({ method: 'POST', url, headers: { 'content-type': 'application/json' }, body })
+
+describe('createPricing', () => {
+  it('prices a request by its last path segment or body capability', async () => {
+    const pricing = createPricing()
+    assert.equal(await pricing.calculatePrice(request('/api/save_context', { messages: [] })), PRICES.save_context)
+    assert.equal(await pricing.calculatePrice(request('/api/call', { capability: 'load_context' })), PRICES.load_context)
+  })
+
+  it('refuses a request it cannot resolve', async () => {
+    const pricing = createPricing()
+    await assert.rejects(pricing.calculatePrice(request('/api/agents/save')), /No capability for POST \/api\/agents\/save/)
+  })
+
+  it('charges defaultPrice for unresolved requests when set', async () => {
+    assert.equal(await createPricing({ defaultPrice: 20 }).calculatePrice(request('/api/agents/save')), 20)
+    assert.equal(await createPricing({ defaultPrice: 0 }).calculatePrice(request('/health')), 0)
+    assert.throws(() => createPricing({ defaultPrice: -1 }), /non-negative/)
+  })
+
+  it('makes the paywall answer 400, not let the request through', async () => {
+    const gate = createPaymentGate({ operatorAddress: PrivateKey.fromRandom().toAddress(), pricing: createPricing() })
+    const decision = await gate(request('/api/agents/save', { messages: [{ role: 'user', content: 'hi' }] }))
+    assert.equal(decision.allowed, false)
+    assert.equal(decision.status, 400)
+  })
+})
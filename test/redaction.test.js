@@ -0,0 +1,66 @@
+/**
+ * Redaction — structured content and summaries
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { PrivateKey } from '@bsv/sdk'
+import { IndelibleMemoryBridge } from '../src/bridge.js'
+import { MemoryBackend } from '../src/backends.js'
+import { createRedactionPipeline } from '../src/redaction.js'
+
+const wif = PrivateKey.fromRandom().toWif()
+const apiKey = 'sk-ant-' + 'a1B2c3D4e5F6g7H8i9J0k1L2'
+
+describe('redaction pipeline', () => {
+  const pipeline = createRedactionPipeline()
+
+  it('redacts strings nested in structured blocks', () => {
+    const { messages, report } = pipeline.apply([{
+      role: 'assistant',
+      content: [
+        { type: 'text', text: `mailing ops@example.com` },
+        { type: 'tool_use', id: 'tool1', name: 'deploy', input: { env: { KEY: apiKey }, args: ['--wif', wif] } }
+      ]
+    }])
+
+    const [text, toolUse] = messages[0].content
+    assert.equal(text.text, 'mailing [REDACTED:email]')
+    assert.deepEqual(toolUse.input, { env: { KEY: '[REDACTED:api-key]' }, args: ['--wif', '[REDACTED:wif]'] })
+    assert.equal(toolUse.name, 'deploy')
+    assert.equal(report.redacted, 1)
+    assert.deepEqual(report.matches, { email: 1, 'api-key': 1, wif: 1 })
+  })
+
+  it('redacts object content', () => {
+    const { messages } = pipeline.apply([{ role: 'tool', content: { stdout: `token ${apiKey}`, code: 0 } }])
+    assert.deepEqual(messages[0].content, { stdout: 'token [REDACTED:api-key]', code: 0 })
+  })
+
+  it('redacts the summary with the default redactors, whatever the role rules', () => {
+    const keepAll = createRedactionPipeline({ roles: { user: 'keep' } })
+    const { messages, summary, report } = keepAll.apply([{ role: 'user', content: 'hi' }], { summary: `Key is ${wif}` })
+    assert.equal(messages[0].content, 'hi')
+    assert.equal(summary, 'Key is [REDACTED:wif]')
+    assert.equal(report.summaryRedacted, true)
+  })
+})
+
+describe('bridge redaction', () => {
+  it('never sends a secret in the summary or a tool_use input to the backend', async () => {
+    const backend = new MemoryBackend()
+    const saved = []
+    const save = backend.save.bind(backend)
+    backend.save = (body) => { saved.push(body); return save(body) }
+
+    const bridge = new IndelibleMemoryBridge({ operatorAddress: 'operator', agentAddress: 'agent', backend, redaction: {} })
+    const result = await bridge.save('agent', [
+      { role: 'assistant', content: [{ type: 'tool_use', id: 't', name: 'sign', input: { wif } }] }
+    ], { summary: `Signed with ${wif}` })
+
+    const body = JSON.stringify(saved)
+    assert.equal(body.includes(wif), false)
+    assert.equal(saved[0].summary, 'Signed with [REDACTED:wif]')
+    assert.equal(result.redaction.summaryRedacted, true)
+  })
+})
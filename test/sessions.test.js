@@ -0,0 +1,43 @@
+/**
+ * Structured session loading
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { IndelibleMemoryBridge } from '../src/bridge.js'
+import { MemoryBackend } from '../src/backends.js'
+
+// A server that predates format: 'sessions' — formatted context only
+class ContextOnlyBackend extends MemoryBackend {
+  async load(request) {
+    const { context } = await super.load(request)
+    return { context }
+  }
+}
+
+function bridge(backend) {
+  return new IndelibleMemoryBridge({ operatorAddress: 'operator', agentAddress: 'agent', backend })
+}
+
+describe('loadSessions', () => {
+  it('returns saved sessions oldest first', async () => {
+    const memory = bridge(new MemoryBackend())
+    await memory.save('k', [{ role: 'user', content: 'one' }], { summary: 'first' })
+    await memory.save('k', [{ role: 'user', content: 'two' }], { summary: 'second' })
+
+    assert.deepEqual((await memory.loadSessions('k')).map(s => s.summary), ['first', 'second'])
+  })
+
+  it('returns an empty list for an agent with no memory', async () => {
+    assert.deepEqual(await bridge(new MemoryBackend()).loadSessions('k'), [])
+  })
+
+  it('throws when the server ignores the sessions format', async () => {
+    const memory = bridge(new ContextOnlyBackend())
+    await memory.save('k', [{ role: 'user', content: 'one' }])
+
+    await assert.rejects(memory.loadSessions('k'), /does not support format: 'sessions'/)
+    await assert.rejects(memory.restore('k', { maxTokens: 100 }), /does not support format: 'sessions'/)
+    assert.match(await memory.load('k'), /one/, 'the formatted context still loads')
+  })
+})